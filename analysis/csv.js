@@ -0,0 +1,79 @@
+// Minimal RFC 4180 CSV reading and writing (replaces the csv-writer dependency)
+import { writeFileSync } from 'fs';
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// header: [{ id, title }] - same shape csv-writer used, so columns keep their titles
+export function formatCSV(header, records) {
+  const lines = [
+    header.map(column => escapeField(column.title)).join(','),
+    ...records.map(record => header.map(column => escapeField(record[column.id])).join(','))
+  ];
+  return lines.join('\n') + '\n';
+}
+
+export function writeCSV(path, header, records, { preamble = [] } = {}) {
+  writeFileSync(path, preamble.map(line => `# ${line}\n`).join('') + formatCSV(header, records));
+}
+
+// Rows as arrays of strings; quoted fields may span lines
+export function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Objects keyed by the header row; '#' comment lines before it are returned separately
+export function parseCSV(text) {
+  const lines = text.split(/\r?\n/);
+  const comments = [];
+  while (lines.length > 0 && lines[0].startsWith('#')) {
+    comments.push(lines.shift().replace(/^#\s?/, ''));
+  }
+
+  const [header, ...rows] = parseCSVRows(lines.join('\n')).filter(row => !(row.length === 1 && row[0] === ''));
+  if (!header) return { comments, records: [] };
+
+  return {
+    comments,
+    records: rows.map(row => Object.fromEntries(header.map((name, i) => [name, row[i] ?? ''])))
+  };
+}
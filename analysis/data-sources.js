@@ -0,0 +1,299 @@
+// Where StatisticalEngine reads trials from: the live database, a dataset
+// exported with scripts/export-dataset.js (JSONL or CSV), or the trials the
+// attack spec attached to Playwright's test-results.json
+import { Pool } from 'pg';
+import { readFileSync, writeFileSync } from 'fs';
+import { basename } from 'path';
+import { parseCSV, writeCSV } from './csv.js';
+import { buildTrialFilter, matchesTrialFilter } from '../db/queries.js';
+import { canonicalStrategyName } from '../origin/strategies.js';
+
+export const EXPORT_SCHEMA = 'sw-wcd-experiments';
+// Bump when columns change meaning; readers reject newer versions.
+// v2 added the phase timing columns (null when reading v1 files).
+export const EXPORT_SCHEMA_VERSION = 2;
+
+// experiments.phase_timings keys (TestUtils.summarizePhaseTimings), flattened
+export const PHASE_TIMING_COLUMNS = ['victim_fetch_ms', 'sw_rewrite_ms', 'attacker_ttfb_ms', 'attacker_fetch_ms'];
+
+// Flat trial columns, as loaded by every source
+export const EXPORT_COLUMNS = [
+  'trial_id',
+  'timestamp',
+  'campaign_id',
+  'block_number',
+  'sequence_number',
+  'cdn_vendor',
+  'cdn_config',
+  'browser',
+  'browser_version',
+  'attack_type',
+  'origin_header_strategy',
+  'success',
+  'cache_hit',
+  'data_retrieved',
+  'execution_time_ms',
+  ...PHASE_TIMING_COLUMNS
+];
+
+// Attachment name attack.spec.js uses for each logged trial
+export const TRIAL_ATTACHMENT = 'sw-wcd-trial';
+
+const BOOLEAN_COLUMNS = ['success', 'cache_hit', 'data_retrieved'];
+
+// Outcome flags are compared as 'true'/'false' strings, as ->> returns them
+export function normalizeRow(raw) {
+  return Object.fromEntries(EXPORT_COLUMNS.map(column => {
+    let value = raw[column];
+    if (value === undefined || value === '') value = null;
+    if (value instanceof Date) value = value.toISOString();
+    if (BOOLEAN_COLUMNS.includes(column) && value !== null) value = String(value);
+    return [column, value];
+  }));
+}
+
+// experiments row (as inserted by TestUtils.logTrialToDB) -> flat columns
+export function flattenTrialRecord(trial) {
+  return normalizeRow({
+    ...trial,
+    ...trial.phase_timings,
+    success: trial.attack_outcome?.success,
+    cache_hit: trial.attack_outcome?.cache_hit,
+    data_retrieved: trial.attack_outcome?.victim_data_retrieved
+  });
+}
+
+const LIST_OPTIONS = {
+  '--cdn': 'cdn_vendor',
+  '--attack': 'attack_type',
+  '--strategy': 'strategy',
+  '--browser': 'browser'
+};
+
+// Compositions are stored under their canonical names
+const CANONICAL_VALUES = { '--strategy': canonicalStrategyName };
+
+// A date-only --to includes that whole day
+const parseDate = (name, value, endOfDay = false) => {
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date for ${name}: ${value}`);
+  }
+  return date.toISOString();
+};
+
+// Scope options shared by `npm run analyze` and `npm run export`:
+//   --campaign <id>  --from <date>  --to <date>  --days <n>  --all
+//   --cdn a,b  --attack a,b  --strategy a,b  --browser a,b
+// Without a time window or campaign, defaultDays applies. Options named in
+// extraOptions (e.g. --source) are returned in `options`.
+export function parseScopeArgs(argv, { defaultDays = null, extraOptions = [] } = {}) {
+  const filters = {};
+  const options = {};
+  let all = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i];
+    const next = () => {
+      if (argv[i + 1] === undefined) throw new Error(`Missing value for ${name}`);
+      return argv[++i];
+    };
+
+    if (LIST_OPTIONS[name]) {
+      const canonical = CANONICAL_VALUES[name] || (value => value);
+      filters[LIST_OPTIONS[name]] = next().split(',').map(value => value.trim()).filter(Boolean).map(canonical);
+    } else if (extraOptions.includes(name)) {
+      options[name.replace(/^--/, '')] = next();
+    } else {
+      switch (name) {
+        case '--campaign': filters.campaign_id = next(); break;
+        case '--from': filters.start_date = parseDate(name, next()); break;
+        case '--to': filters.end_date = parseDate(name, next(), true); break;
+        case '--days': {
+          const days = parseInt(next());
+          if (!(days > 0)) throw new Error('--days must be a positive integer');
+          filters.days = days;
+          break;
+        }
+        case '--all': all = true; break;
+        default:
+          throw new Error(`Unknown option: ${name}`);
+      }
+    }
+  }
+
+  const windowed = filters.days || filters.start_date || filters.end_date || filters.campaign_id;
+  if (!windowed && !all && defaultDays) {
+    filters.days = defaultDays;
+  }
+
+  return { filters, options };
+}
+
+// Human-readable scope for report headers
+export function describeScope(filters = {}) {
+  const parts = [];
+
+  if (filters.days) parts.push(`Last ${filters.days} days`);
+  if (filters.start_date && filters.end_date) parts.push(`${filters.start_date} to ${filters.end_date}`);
+  else if (filters.start_date) parts.push(`Since ${filters.start_date}`);
+  else if (filters.end_date) parts.push(`Until ${filters.end_date}`);
+  if (parts.length === 0 && !filters.campaign_id) parts.push('All trials');
+
+  if (filters.campaign_id) parts.push(`Campaign ${filters.campaign_id}`);
+  Object.entries({ cdn_vendor: 'CDN', attack_type: 'attack', strategy: 'strategy', browser: 'browser' })
+    .forEach(([key, label]) => {
+      if (filters[key]?.length) parts.push(`${label}: ${[].concat(filters[key]).join(', ')}`);
+    });
+
+  return parts.join(' · ');
+}
+
+export class PostgresSource {
+  constructor({ connectionString = process.env.DATABASE_URL } = {}) {
+    this.pool = new Pool({ connectionString });
+  }
+
+  // filters as built by parseScopeArgs() (see buildTrialFilter in db/queries.js)
+  async load(filters = {}) {
+    const { where, params } = buildTrialFilter(filters);
+    const query = `
+      SELECT
+        trial_id,
+        timestamp,
+        campaign_id,
+        block_number,
+        sequence_number,
+        cdn_vendor,
+        cdn_config,
+        browser,
+        browser_version,
+        attack_type,
+        origin_header_strategy,
+        attack_outcome->>'success' as success,
+        attack_outcome->>'cache_hit' as cache_hit,
+        attack_outcome->>'victim_data_retrieved' as data_retrieved,
+        execution_time_ms,
+        ${PHASE_TIMING_COLUMNS.map(column => `(phase_timings->>'${column}')::float8 as ${column}`).join(',\n        ')}
+      FROM experiments
+      ${where}
+      ORDER BY timestamp DESC
+    `;
+
+    const result = await this.pool.query(query, params);
+    return { rows: result.rows.map(normalizeRow), scope: describeScope(filters) };
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
+
+// Header written by exportDataset(); anything else is not a dataset we can trust
+function checkSchemaHeader(header, path) {
+  if (!header || header.schema !== EXPORT_SCHEMA) {
+    throw new Error(`${path} has no ${EXPORT_SCHEMA} schema header (export it with npm run export)`);
+  }
+  if (!(Number(header.schemaVersion) <= EXPORT_SCHEMA_VERSION)) {
+    throw new Error(`${path} uses schema version ${header.schemaVersion}; this tool reads up to ${EXPORT_SCHEMA_VERSION}`);
+  }
+}
+
+// JSONL: header object on the first line, then one trial per line.
+// CSV: '# {header json}' comment line, then a header row and one trial per row.
+export class ExportFileSource {
+  constructor(path) {
+    this.path = path;
+  }
+
+  async load(filters = {}) {
+    const text = readFileSync(this.path, 'utf8');
+    let header;
+    let rows;
+
+    if (this.path.endsWith('.csv')) {
+      const { comments, records } = parseCSV(text);
+      header = comments.length > 0 ? JSON.parse(comments[0]) : null;
+      rows = records;
+    } else {
+      const lines = text.split(/\r?\n/).filter(line => line.trim());
+      header = lines.length > 0 ? JSON.parse(lines[0]) : null;
+      rows = lines.slice(1).map(line => JSON.parse(line));
+    }
+
+    checkSchemaHeader(header, this.path);
+    return {
+      rows: rows.map(normalizeRow).filter(row => matchesTrialFilter(row, filters)),
+      scope: `${basename(this.path)} (exported: ${header.scope || 'unknown scope'}) · ${describeScope(filters)}`
+    };
+  }
+
+  async close() {}
+}
+
+// Trials attached to Playwright's JSON report (tests/test-results/reports/test-results.json)
+export class PlaywrightResultsSource {
+  constructor(path) {
+    this.path = path;
+  }
+
+  async load(filters = {}) {
+    const report = JSON.parse(readFileSync(this.path, 'utf8'));
+    const trials = [];
+
+    const walk = (suite) => {
+      (suite.specs || []).forEach(spec => spec.tests.forEach(test => test.results.forEach(result => {
+        (result.attachments || [])
+          .filter(attachment => attachment.name === TRIAL_ATTACHMENT)
+          .forEach(attachment => {
+            const body = attachment.body
+              ? Buffer.from(attachment.body, 'base64').toString('utf8')
+              : readFileSync(attachment.path, 'utf8');
+            trials.push(flattenTrialRecord(JSON.parse(body)));
+          });
+      })));
+      (suite.suites || []).forEach(walk);
+    };
+    (report.suites || []).forEach(walk);
+
+    return {
+      rows: trials.filter(row => matchesTrialFilter(row, filters)),
+      scope: `Playwright run ${basename(this.path)} · ${describeScope(filters)}`
+    };
+  }
+
+  async close() {}
+}
+
+// 'postgres' (default), an exported .jsonl/.csv dataset, or a Playwright .json report
+export function createDataSource(spec = 'postgres') {
+  if (!spec || spec === 'postgres') return new PostgresSource();
+  if (spec.endsWith('.jsonl') || spec.endsWith('.csv')) return new ExportFileSource(spec);
+  if (spec.endsWith('.json')) return new PlaywrightResultsSource(spec);
+  throw new Error(`Unknown data source: ${spec}. Use postgres, a .jsonl/.csv export or a Playwright .json report`);
+}
+
+// Write rows as a dataset ExportFileSource can read back
+export function exportDataset(rows, path, { scope = null } = {}) {
+  const header = {
+    schema: EXPORT_SCHEMA,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    scope,
+    rows: rows.length,
+    columns: EXPORT_COLUMNS
+  };
+  const normalized = rows.map(normalizeRow);
+
+  if (path.endsWith('.csv')) {
+    writeCSV(path, EXPORT_COLUMNS.map(column => ({ id: column, title: column })), normalized, {
+      preamble: [JSON.stringify(header)]
+    });
+  } else if (path.endsWith('.jsonl')) {
+    writeFileSync(path, [header, ...normalized].map(line => JSON.stringify(line)).join('\n') + '\n');
+  } else {
+    throw new Error(`Export path must end in .jsonl or .csv: ${path}`);
+  }
+
+  return header;
+}
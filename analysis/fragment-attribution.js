@@ -0,0 +1,119 @@
+// Per-fragment effect attribution for composable header strategies. Every
+// stored strategy (preset or composition) is decomposed into its
+// HEADER_FRAGMENTS; each fragment is then compared marginally (trials with vs
+// without it, Fisher exact, Holm-adjusted) and adjusted for the CDN config,
+// browser, attack and the other fragments in one logistic model.
+import { fisherExactTest, holmAdjust } from './stats-math.js';
+import { DEFAULT_FACTORS, fitLogisticRegression } from './logistic-regression.js';
+import { HEADER_FRAGMENTS, FRAGMENT_NAMES, parseStrategy } from '../origin/strategies.js';
+
+const isSuccess = row => row.success === true || row.success === 'true';
+
+// Fragments of a stored strategy name; null for names origin/strategies.js no longer knows
+export function strategyFragments(name) {
+  try {
+    return parseStrategy(name).fragments;
+  } catch {
+    return null;
+  }
+}
+
+// Fragments present in exactly the same strategies cannot be told apart, so
+// each such group is attributed as one unit (e.g. cdnNoStore+cloudflareCdnCache600)
+function groupFragments(strategies, fragmentsOf) {
+  const groups = new Map();
+  FRAGMENT_NAMES.forEach(fragment => {
+    const carriers = strategies.filter(name => fragmentsOf.get(name).includes(fragment));
+    // Present everywhere or nowhere: no contrast to attribute
+    if (carriers.length === 0 || carriers.length === strategies.length) return;
+    const key = carriers.join('|');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(fragment);
+  });
+  return [...groups.values()].map(fragments => ({ name: fragments.join('+'), fragments }));
+}
+
+export function attributeFragments(rows, { confidence = 0.95 } = {}) {
+  const warnings = [];
+  const fragmentsOf = new Map();
+  rows.forEach(row => {
+    if (!fragmentsOf.has(row.origin_header_strategy)) {
+      fragmentsOf.set(row.origin_header_strategy, strategyFragments(row.origin_header_strategy));
+    }
+  });
+
+  const unknown = [...fragmentsOf].filter(([, fragments]) => fragments === null).map(([name]) => name);
+  if (unknown.length > 0) {
+    warnings.push(`${unknown.length} strategies unknown to origin/strategies.js left out: ${unknown.join(', ')}`);
+  }
+  const usable = rows.filter(row => fragmentsOf.get(row.origin_header_strategy));
+  const strategies = [...fragmentsOf.keys()].filter(name => fragmentsOf.get(name)).sort();
+  const groups = groupFragments(strategies, fragmentsOf);
+
+  if (groups.length === 0) {
+    warnings.push('Fewer than two distinct strategies: no fragment contrast to attribute');
+    return { n: usable.length, units: [], model: null, warnings };
+  }
+
+  const has = (row, group) => fragmentsOf.get(row.origin_header_strategy).includes(group.fragments[0]);
+
+  const units = groups.map(group => {
+    const withIt = usable.filter(row => has(row, group));
+    const without = usable.filter(row => !has(row, group));
+    const successesWith = withIt.filter(isSuccess).length;
+    const successesWithout = without.filter(isSuccess).length;
+    const fisher = fisherExactTest(
+      successesWith, withIt.length - successesWith,
+      successesWithout, without.length - successesWithout
+    );
+    return {
+      name: group.name,
+      fragments: group.fragments,
+      description: group.fragments.map(fragment => HEADER_FRAGMENTS[fragment].description).join('; '),
+      strategies: strategies.filter(name => fragmentsOf.get(name).includes(group.fragments[0])),
+      trialsWith: withIt.length,
+      successesWith,
+      successRateWith: (successesWith / withIt.length) * 100,
+      trialsWithout: without.length,
+      successesWithout,
+      successRateWithout: (successesWithout / without.length) * 100,
+      difference: (successesWith / withIt.length - successesWithout / without.length) * 100,
+      pValue: fisher.pValue
+    };
+  });
+
+  const holm = holmAdjust(units.map(unit => unit.pValue));
+  units.forEach((unit, i) => {
+    unit.holmPValue = holm[i];
+  });
+
+  // The strategy factor is replaced by one present/absent indicator per unit
+  const factors = [
+    ...DEFAULT_FACTORS.filter(factor => factor.name !== 'origin_header_strategy'),
+    ...groups.map(group => ({
+      name: group.name,
+      value: row => (has(row, group) ? 'present' : 'absent'),
+      reference: 'absent'
+    }))
+  ];
+  const model = fitLogisticRegression(usable, { factors, interactions: [], confidence });
+
+  units.forEach(unit => {
+    const coefficient = model.fitted
+      ? model.coefficients.find(c => c.term === `${unit.name}[present]`)
+      : null;
+    unit.adjusted = coefficient
+      ? {
+        oddsRatio: coefficient.oddsRatio,
+        ciLower: coefficient.ciLower,
+        ciUpper: coefficient.ciUpper,
+        pValue: coefficient.pValue,
+        separated: coefficient.separated
+      }
+      : null;
+  });
+
+  return { n: usable.length, units, model, warnings: [...warnings, ...(model.warnings || [])] };
+}
+
+export default attributeFragments;
@@ -0,0 +1,295 @@
+// Self-contained HTML research report: inline CSS and SVG only, no scripts or
+// network assets, so the file can be mailed or archived as-is
+
+const escapeHTML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatP = (p) => (p === null || p === undefined ? 'n/a' : p < 0.0001 ? p.toExponential(2) : p.toFixed(4));
+
+// White (0%) to red (100%)
+const heatColor = (rate) => `hsl(0, ${Math.round(rate * 0.75)}%, ${Math.round(97 - rate * 0.45)}%)`;
+
+const uniqueSorted = (values) => [...new Set(values)].sort();
+
+const STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1100px; color: #222; padding: 0 1rem; }
+  h1 { margin-bottom: 0.2rem; }
+  h2 { border-bottom: 1px solid #ddd; padding-bottom: 0.3rem; margin-top: 2.5rem; }
+  .meta { color: #666; margin-top: 0; }
+  .summary { display: flex; gap: 1rem; flex-wrap: wrap; }
+  .summary div { background: #f5f5f7; border-radius: 6px; padding: 0.8rem 1.2rem; }
+  .summary strong { display: block; font-size: 1.5rem; }
+  table { border-collapse: collapse; margin: 0.8rem 0; font-size: 0.9rem; }
+  th, td { border: 1px solid #ddd; padding: 0.35rem 0.6rem; text-align: left; }
+  th { background: #f5f5f7; }
+  td.heat { text-align: center; min-width: 7rem; }
+  td.heat small { display: block; color: #555; }
+  .bar { height: 0.7rem; display: inline-block; vertical-align: middle; }
+  .bar.cache { background: #4a90d9; }
+  .bar.data { background: #d0021b; }
+  .bar.success { background: #7b7b7b; }
+  .flag { font-size: 0.75rem; padding: 0.05rem 0.35rem; border-radius: 3px; background: #eee; margin-left: 0.3rem; }
+  .flag.sig { background: #fde2e1; color: #a00; }
+  .warning { color: #a05a00; }
+  svg text { font-size: 11px; font-family: inherit; }
+`;
+
+function renderSummary(report, meta) {
+  const { summary } = report;
+  return `
+  <div class="summary">
+    <div><strong>${summary.totalTrials}</strong>trials</div>
+    <div><strong>${summary.overallSuccessRate.toFixed(1)}%</strong>overall success</div>
+    <div><strong>${Object.keys(report.successRates).length}</strong>CDN × attack × strategy cells</div>
+    <div><strong>${report.recommendations.length}</strong>confirmed findings</div>
+  </div>
+  <p class="meta">Intervals: ${Math.round(meta.confidenceLevel * 100)}% Wilson. Multiple-comparison correction: ${escapeHTML(meta.correction)}.</p>`;
+}
+
+// One heatmap per strategy: CDN rows x attack columns
+function renderHeatmaps(successRates) {
+  const rates = Object.values(successRates);
+  const cdns = uniqueSorted(rates.map(rate => rate.cdn));
+  const attacks = uniqueSorted(rates.map(rate => rate.attack));
+  const strategies = uniqueSorted(rates.map(rate => rate.strategy));
+  const lookup = new Map(rates.map(rate => [`${rate.cdn}|${rate.attack}|${rate.strategy}`, rate]));
+
+  return strategies.map(strategy => `
+  <h3>Strategy: ${escapeHTML(strategy)}</h3>
+  <table>
+    <tr><th>CDN \\ Attack</th>${attacks.map(attack => `<th>${escapeHTML(attack)}</th>`).join('')}</tr>
+    ${cdns.map(cdn => `<tr><th>${escapeHTML(cdn)}</th>${attacks.map(attack => {
+      const rate = lookup.get(`${cdn}|${attack}|${strategy}`);
+      if (!rate) return '<td class="heat">–</td>';
+      return `<td class="heat" style="background:${heatColor(rate.successRate)}">` +
+        `${rate.successRate.toFixed(0)}%<small>${rate.successes}/${rate.total}</small></td>`;
+    }).join('')}</tr>`).join('\n    ')}
+  </table>`).join('\n');
+}
+
+// Point estimate with Wilson interval per cell, sorted by rate
+function renderErrorBars(successRates) {
+  const rows = Object.entries(successRates)
+    .sort((a, b) => b[1].successRate - a[1].successRate);
+  const labelWidth = 300;
+  const plotWidth = 500;
+  const rowHeight = 16;
+  const height = rows.length * rowHeight + 30;
+  const x = (percent) => labelWidth + (percent / 100) * plotWidth;
+
+  const ticks = [0, 25, 50, 75, 100].map(tick => `
+    <line x1="${x(tick)}" y1="0" x2="${x(tick)}" y2="${height - 20}" stroke="#eee"/>
+    <text x="${x(tick)}" y="${height - 6}" text-anchor="middle">${tick}%</text>`).join('');
+
+  const bars = rows.map(([config, rate], i) => {
+    const y = i * rowHeight + 10;
+    const ci = rate.successRateCI.wilson;
+    return `
+    <text x="${labelWidth - 8}" y="${y + 4}" text-anchor="end">${escapeHTML(config)} (n=${rate.total})</text>
+    <line x1="${x(ci.lower)}" y1="${y}" x2="${x(ci.upper)}" y2="${y}" stroke="#555"/>
+    <line x1="${x(ci.lower)}" y1="${y - 4}" x2="${x(ci.lower)}" y2="${y + 4}" stroke="#555"/>
+    <line x1="${x(ci.upper)}" y1="${y - 4}" x2="${x(ci.upper)}" y2="${y + 4}" stroke="#555"/>
+    <circle cx="${x(rate.successRate)}" cy="${y}" r="3.5" fill="#d0021b"/>`;
+  }).join('');
+
+  return `<svg width="${labelWidth + plotWidth + 20}" height="${height}" role="img" aria-label="Success rate confidence intervals">${ticks}${bars}
+  </svg>`;
+}
+
+function renderOutcomeBreakdown(successRates) {
+  const bar = (kind, percent) => `<span class="bar ${kind}" style="width:${(percent * 1.5).toFixed(1)}px"></span> ${percent.toFixed(0)}%`;
+  return `
+  <p><span class="bar cache" style="width:12px"></span> cache hit
+     <span class="bar data" style="width:12px"></span> victim data retrieved
+     <span class="bar success" style="width:12px"></span> attack success</p>
+  <table>
+    <tr><th>Cell</th><th>n</th><th>Cache hit</th><th>Data retrieved</th><th>Success</th></tr>
+    ${Object.entries(successRates).map(([config, rate]) => `<tr>
+      <td>${escapeHTML(config)}</td><td>${rate.total}</td>
+      <td>${bar('cache', rate.cacheHitRate)}</td>
+      <td>${bar('data', rate.dataRetrievalRate)}</td>
+      <td>${bar('success', rate.successRate)}</td>
+    </tr>`).join('\n    ')}
+  </table>`;
+}
+
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const base = Math.floor(position);
+  const next = sorted[base + 1] ?? sorted[base];
+  return sorted[base] + (next - sorted[base]) * (position - base);
+};
+
+// Box plots (min, quartiles, max) of execution time per CDN x attack
+function renderExecutionTimes(results) {
+  const groups = {};
+  results.forEach(trial => {
+    const time = parseInt(trial.execution_time_ms);
+    if (!Number.isFinite(time)) return;
+    const key = `${trial.cdn_vendor} / ${trial.attack_type}`;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(time);
+  });
+
+  const entries = Object.entries(groups).sort((a, b) => a[0].localeCompare(b[0]));
+  if (entries.length === 0) return '<p>No execution times recorded.</p>';
+
+  const maxTime = Math.max(...entries.flatMap(([_, times]) => times));
+  const labelWidth = 260;
+  const plotWidth = 520;
+  const rowHeight = 22;
+  const height = entries.length * rowHeight + 30;
+  const x = (ms) => labelWidth + (ms / maxTime) * plotWidth;
+
+  const boxes = entries.map(([label, times], i) => {
+    const sorted = [...times].sort((a, b) => a - b);
+    const [min, q1, median, q3, max] = [0, 0.25, 0.5, 0.75, 1].map(q => quantile(sorted, q));
+    const y = i * rowHeight + 12;
+    return `
+    <text x="${labelWidth - 8}" y="${y + 4}" text-anchor="end">${escapeHTML(label)} (n=${times.length})</text>
+    <line x1="${x(min)}" y1="${y}" x2="${x(max)}" y2="${y}" stroke="#999"/>
+    <rect x="${x(q1)}" y="${y - 6}" width="${Math.max(1, x(q3) - x(q1))}" height="12" fill="#cfe0f3" stroke="#4a90d9"/>
+    <line x1="${x(median)}" y1="${y - 6}" x2="${x(median)}" y2="${y + 6}" stroke="#222" stroke-width="2"/>
+    <title>median ${median.toFixed(0)} ms, IQR ${q1.toFixed(0)}–${q3.toFixed(0)} ms, range ${min}–${max} ms</title>`;
+  }).join('');
+
+  return `<svg width="${labelWidth + plotWidth + 40}" height="${height}" role="img" aria-label="Execution time distributions">${boxes}
+    <text x="${labelWidth}" y="${height - 6}">0 ms</text>
+    <text x="${labelWidth + plotWidth}" y="${height - 6}" text-anchor="end">${maxTime} ms</text>
+  </svg>`;
+}
+
+function renderStatisticalTests(report) {
+  const rows = Object.entries(report.statisticalTests).map(([name, result]) => `<tr>
+      <td>${escapeHTML(name)}</td><td>${escapeHTML(result.method)}</td>
+      <td>${result.pValue === null ? 'n/a' : result.chiSquare.toFixed(3)}</td><td>${result.degreesOfFreedom}</td>
+      <td>${formatP(result.pValue)}</td><td>${formatP(result.holmPValue)}</td><td>${formatP(result.bhPValue)}</td>
+      <td class="warning">${result.warnings.map(escapeHTML).join('<br>')}</td>
+    </tr>`).join('\n    ');
+
+  const significant = report.pairwiseComparisons.filter(c => c.significantBH)
+    .sort((a, b) => a.bhPValue - b.bhPValue);
+
+  return `
+  <table>
+    <tr><th>Test</th><th>Method</th><th>χ²</th><th>df</th><th>p</th><th>Holm p</th><th>BH p</th><th>Warnings</th></tr>
+    ${rows}
+  </table>
+  <h3>Pairwise comparisons significant after correction (${significant.length} of ${report.pairwiseComparisons.length})</h3>
+  ${significant.length === 0 ? '<p>None.</p>' : `<table>
+    <tr><th>Within</th><th>A</th><th>B</th><th>Difference</th><th>p</th><th>Holm p</th><th>BH p</th></tr>
+    ${significant.map(c => `<tr>
+      <td>${escapeHTML(c.group)}</td>
+      <td>${escapeHTML(c.levelA)} ${c.successRateA.toFixed(0)}%</td>
+      <td>${escapeHTML(c.levelB)} ${c.successRateB.toFixed(0)}%</td>
+      <td>${c.difference.toFixed(1)} pp</td>
+      <td>${formatP(c.pValue)}</td><td>${formatP(c.holmPValue)}</td>
+      <td>${formatP(c.bhPValue)}${c.significantHolm ? '<span class="flag sig">Holm</span>' : ''}<span class="flag sig">BH</span></td>
+    </tr>`).join('\n    ')}
+  </table>`}`;
+}
+
+function renderLogisticRegression(model) {
+  if (!model.fitted) {
+    return model.warnings.map(warning => `<p class="warning">${escapeHTML(warning)}</p>`).join('');
+  }
+
+  return `
+  <p>n = ${model.n}; null deviance ${model.nullDeviance.toFixed(2)}, residual deviance ${model.deviance.toFixed(2)} on ${model.residualDf} df;
+     likelihood ratio test χ² = ${model.likelihoodRatioTest.statistic.toFixed(2)}, df = ${model.likelihoodRatioTest.df}, p = ${formatP(model.likelihoodRatioTest.pValue)}.</p>
+  <table>
+    <tr><th>Term</th><th>Odds ratio</th><th>${Math.round(model.confidence * 100)}% CI</th><th>p</th></tr>
+    ${model.coefficients.filter(c => c.term !== '(Intercept)').map(c => `<tr>
+      <td>${escapeHTML(c.term)}${c.separated ? '<span class="flag">separation</span>' : ''}</td>
+      <td>${c.oddsRatio.toPrecision(3)}</td>
+      <td>${c.ciLower.toPrecision(3)} – ${c.ciUpper.toPrecision(3)}</td>
+      <td>${formatP(c.pValue)}${c.pValue < 0.05 ? '<span class="flag sig">*</span>' : ''}</td>
+    </tr>`).join('\n    ')}
+  </table>
+  ${model.warnings.map(warning => `<p class="warning">${escapeHTML(warning)}</p>`).join('\n  ')}`;
+}
+
+function renderFragmentAttribution(attribution) {
+  if (attribution.units.length === 0) {
+    return attribution.warnings.map(warning => `<p class="warning">${escapeHTML(warning)}</p>`).join('');
+  }
+
+  return `
+  <p>Each strategy is split into its header fragments; fragments only ever sent together are attributed jointly.
+     Adjusted odds ratios control for CDN config, browser, attack and the other fragments.</p>
+  <table>
+    <tr><th>Fragment(s)</th><th>With</th><th>Without</th><th>Δ (pp)</th><th>Holm p</th><th>Adjusted OR</th><th>p</th></tr>
+    ${attribution.units.map(unit => `<tr>
+      <td title="${escapeHTML(unit.description)}">${escapeHTML(unit.name)}</td>
+      <td>${unit.successRateWith.toFixed(1)}% (${unit.successesWith}/${unit.trialsWith})</td>
+      <td>${unit.successRateWithout.toFixed(1)}% (${unit.successesWithout}/${unit.trialsWithout})</td>
+      <td>${unit.difference.toFixed(1)}</td>
+      <td>${formatP(unit.holmPValue)}</td>
+      <td>${unit.adjusted
+        ? `${unit.adjusted.oddsRatio.toPrecision(3)} (${unit.adjusted.ciLower.toPrecision(3)} – ${unit.adjusted.ciUpper.toPrecision(3)})${unit.adjusted.separated ? '<span class="flag">separation</span>' : ''}`
+        : 'aliased'}</td>
+      <td>${unit.adjusted ? formatP(unit.adjusted.pValue) : ''}</td>
+    </tr>`).join('\n    ')}
+  </table>
+  ${attribution.warnings.map(warning => `<p class="warning">${escapeHTML(warning)}</p>`).join('\n  ')}`;
+}
+
+function renderRecommendations(recommendations) {
+  if (recommendations.length === 0) {
+    return '<p>No cell is significantly vulnerable after multiple-comparison correction.</p>';
+  }
+
+  return recommendations.map(rec => `
+  <h3>${escapeHTML(rec.config)} — ${rec.successRate.toFixed(1)}%</h3>
+  <p class="meta">Above ${escapeHTML(rec.comparedTo)} (${escapeHTML(rec.correction)}-adjusted p = ${formatP(rec.adjustedPValue)})</p>
+  <ul>${rec.mitigation.map(item => `<li>${escapeHTML(item)}</li>`).join('')}</ul>`).join('\n');
+}
+
+// report: StatisticalEngine.generateReport() output; results: the raw trials
+export function renderHTMLReport(report, { results = [], confidenceLevel = 0.95, correction = 'holm', generatedAt = new Date() } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>SW-WCD Research Report</title>
+<style>${STYLE}</style>
+</head>
+<body>
+  <h1>SW-WCD Research Report</h1>
+  <p class="meta">${escapeHTML(report.summary.scope)} · generated ${escapeHTML(generatedAt.toISOString())}</p>
+  ${renderSummary(report, { confidenceLevel, correction })}
+
+  <h2>Success rate heatmaps (CDN × attack × strategy)</h2>
+  ${renderHeatmaps(report.successRates)}
+
+  <h2>Success rates with ${Math.round(confidenceLevel * 100)}% confidence intervals</h2>
+  ${renderErrorBars(report.successRates)}
+
+  <h2>Cache hits vs data retrieval</h2>
+  ${renderOutcomeBreakdown(report.successRates)}
+
+  <h2>Execution time distributions</h2>
+  ${renderExecutionTimes(results)}
+
+  <h2>Statistical tests</h2>
+  ${renderStatisticalTests(report)}
+
+  <h2>Logistic regression</h2>
+  ${renderLogisticRegression(report.logisticRegression)}
+
+  <h2>Header fragment attribution</h2>
+  ${renderFragmentAttribution(report.fragmentAttribution)}
+
+  <h2>Mitigations</h2>
+  ${renderRecommendations(report.recommendations)}
+</body>
+</html>
+`;
+}
+
+export default renderHTMLReport;
@@ -0,0 +1,266 @@
+// Multivariable logistic regression fitted by iteratively reweighted least
+// squares (IRLS), with treatment-coded factors and pairwise interactions
+import { chiSquarePValue, normalQuantile } from './stats-math.js';
+
+// Factors of the experiment design; reference levels are the "safe" baseline
+// so odds ratios read as "x times the odds of success compared to ..."
+export const DEFAULT_FACTORS = [
+  { name: 'cdn_vendor', reference: 'local' },
+  // Configs are nested in vendors: each vendor's 'default' config is its baseline
+  { name: 'cdn_config', value: row => `${row.cdn_vendor}:${row.cdn_config}`, reference: level => level.endsWith(':default') },
+  { name: 'browser', reference: 'chromium' },
+  { name: 'attack_type', reference: 't1-path-sculpting' },
+  { name: 'origin_header_strategy', reference: 'proper' }
+];
+
+export const DEFAULT_INTERACTIONS = [
+  ['cdn_vendor', 'attack_type'],
+  ['attack_type', 'origin_header_strategy']
+];
+
+const MAX_ITERATIONS = 50;
+const TOLERANCE = 1e-8;
+// |coefficient| beyond this on the logit scale means fitted probabilities of ~0/1
+const SEPARATION_THRESHOLD = 10;
+
+const factorValue = (factor, row) => String(factor.value ? factor.value(row) : row[factor.name]);
+
+const isReference = (factor, level) => typeof factor.reference === 'function'
+  ? factor.reference(level)
+  : level === factor.reference;
+
+// Dummy columns for every non-reference level that occurs in the data
+function buildFactorColumns(rows, factor) {
+  const levels = [...new Set(rows.map(row => factorValue(factor, row)))].sort();
+  const hasReference = levels.some(level => isReference(factor, level));
+  // Without its reference level in the data, the first level becomes the baseline
+  const dummies = levels.filter((level, i) => hasReference ? !isReference(factor, level) : i > 0);
+
+  return dummies.map(level => ({
+    term: `${factor.name}[${level}]`,
+    factor: factor.name,
+    values: rows.map(row => (factorValue(factor, row) === level ? 1 : 0))
+  }));
+}
+
+export function buildDesignMatrix(rows, { factors = DEFAULT_FACTORS, interactions = DEFAULT_INTERACTIONS } = {}) {
+  const columns = [{ term: '(Intercept)', factor: null, values: rows.map(() => 1) }];
+  const byFactor = {};
+
+  factors.forEach(factor => {
+    byFactor[factor.name] = buildFactorColumns(rows, factor);
+    columns.push(...byFactor[factor.name]);
+  });
+
+  interactions.forEach(([left, right]) => {
+    (byFactor[left] || []).forEach(a => {
+      (byFactor[right] || []).forEach(b => {
+        const values = a.values.map((value, i) => value * b.values[i]);
+        // Combinations absent from the data cannot be estimated
+        if (values.some(value => value === 1)) {
+          columns.push({ term: `${a.term}:${b.term}`, factor: `${left}:${right}`, values });
+        }
+      });
+    });
+  });
+
+  return columns;
+}
+
+// Drop columns that are linear combinations of earlier ones (R reports these as
+// aliased/NA); modified Gram-Schmidt on the column space
+function removeAliasedColumns(columns) {
+  const kept = [];
+  const basis = [];
+  const aliased = [];
+
+  columns.forEach(column => {
+    let residual = [...column.values];
+    basis.forEach(q => {
+      const projection = residual.reduce((sum, value, i) => sum + value * q[i], 0);
+      residual = residual.map((value, i) => value - projection * q[i]);
+    });
+    const norm = Math.sqrt(residual.reduce((sum, value) => sum + value * value, 0));
+    const scale = Math.sqrt(column.values.reduce((sum, value) => sum + value * value, 0));
+
+    if (norm > 1e-8 * Math.max(1, scale)) {
+      basis.push(residual.map(value => value / norm));
+      kept.push(column);
+    } else {
+      aliased.push(column.term);
+    }
+  });
+
+  return { kept, aliased };
+}
+
+// Inverse of a symmetric positive definite matrix by Gauss-Jordan elimination
+function invert(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) {
+      throw new Error('Information matrix is singular');
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    const divisor = a[col][col];
+    for (let j = 0; j < 2 * n; j++) a[col][j] /= divisor;
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = a[row][col];
+      if (factor === 0) continue;
+      for (let j = 0; j < 2 * n; j++) a[row][j] -= factor * a[col][j];
+    }
+  }
+
+  return a.map(row => row.slice(n));
+}
+
+const sigmoid = (eta) => 1 / (1 + Math.exp(-eta));
+
+function binomialDeviance(y, mu) {
+  return 2 * y.reduce((sum, yi, i) => {
+    const p = Math.min(Math.max(mu[i], 1e-15), 1 - 1e-15);
+    return sum - (yi === 1 ? Math.log(p) : Math.log(1 - p));
+  }, 0);
+}
+
+// IRLS (Fisher scoring) for the logit link
+function irls(X, y) {
+  const n = y.length;
+  const p = X[0].length;
+  let beta = new Array(p).fill(0);
+  let deviance = Infinity;
+  let converged = false;
+  let iterations = 0;
+  let information;
+
+  for (iterations = 1; iterations <= MAX_ITERATIONS; iterations++) {
+    const eta = X.map(row => row.reduce((sum, x, j) => sum + x * beta[j], 0));
+    const mu = eta.map(sigmoid);
+    const w = mu.map(m => Math.max(m * (1 - m), 1e-10));
+    const z = eta.map((e, i) => e + (y[i] - mu[i]) / w[i]);
+
+    // X'WX and X'Wz
+    information = Array.from({ length: p }, () => new Array(p).fill(0));
+    const score = new Array(p).fill(0);
+    for (let i = 0; i < n; i++) {
+      const row = X[i];
+      for (let j = 0; j < p; j++) {
+        if (row[j] === 0) continue;
+        const wx = w[i] * row[j];
+        score[j] += wx * z[i];
+        for (let k = j; k < p; k++) information[j][k] += wx * row[k];
+      }
+    }
+    for (let j = 0; j < p; j++) {
+      for (let k = 0; k < j; k++) information[j][k] = information[k][j];
+    }
+
+    const inverse = invert(information);
+    beta = inverse.map(row => row.reduce((sum, value, k) => sum + value * score[k], 0));
+
+    const newMu = X.map(row => sigmoid(row.reduce((sum, x, j) => sum + x * beta[j], 0)));
+    const newDeviance = binomialDeviance(y, newMu);
+    if (Math.abs(newDeviance - deviance) / (Math.abs(newDeviance) + 0.1) < TOLERANCE) {
+      deviance = newDeviance;
+      converged = true;
+      break;
+    }
+    deviance = newDeviance;
+  }
+
+  // Covariance at the final estimate
+  const mu = X.map(row => sigmoid(row.reduce((sum, x, j) => sum + x * beta[j], 0)));
+  information = Array.from({ length: p }, (_, j) => Array.from({ length: p }, (_, k) =>
+    X.reduce((sum, row, i) => sum + Math.max(mu[i] * (1 - mu[i]), 1e-10) * row[j] * row[k], 0)
+  ));
+
+  return { beta, covariance: invert(information), deviance, converged, iterations: Math.min(iterations, MAX_ITERATIONS) };
+}
+
+// Fit success ~ factors + interactions. rows need the factor fields and a
+// boolean-ish `success` ('true'/'false' strings from the JSONB column work).
+export function fitLogisticRegression(rows, { factors = DEFAULT_FACTORS, interactions = DEFAULT_INTERACTIONS, confidence = 0.95 } = {}) {
+  const warnings = [];
+  const y = rows.map(row => (row.success === true || row.success === 'true' ? 1 : 0));
+  const successes = y.reduce((sum, value) => sum + value, 0);
+
+  if (rows.length === 0 || successes === 0 || successes === rows.length) {
+    return {
+      fitted: false,
+      warnings: ['Outcome has no variation (all successes or all failures); model not estimable'],
+      n: rows.length
+    };
+  }
+
+  const { kept, aliased } = removeAliasedColumns(buildDesignMatrix(rows, { factors, interactions }));
+  if (aliased.length > 0) {
+    warnings.push(`${aliased.length} aliased terms dropped (not estimable from this design): ${aliased.join(', ')}`);
+  }
+
+  const X = rows.map((_, i) => kept.map(column => column.values[i]));
+  const { beta, covariance, deviance, converged, iterations } = irls(X, y);
+  if (!converged) {
+    warnings.push(`IRLS did not converge in ${MAX_ITERATIONS} iterations`);
+  }
+
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const coefficients = kept.map((column, j) => {
+    const estimate = beta[j];
+    const se = Math.sqrt(Math.max(covariance[j][j], 0));
+    const wald = estimate / se;
+    return {
+      term: column.term,
+      factor: column.factor,
+      estimate,
+      standardError: se,
+      z: wald,
+      pValue: chiSquarePValue(wald * wald, 1),
+      oddsRatio: Math.exp(estimate),
+      ciLower: Math.exp(estimate - z * se),
+      ciUpper: Math.exp(estimate + z * se),
+      separated: Math.abs(estimate) > SEPARATION_THRESHOLD
+    };
+  });
+
+  const separated = coefficients.filter(c => c.separated).map(c => c.term);
+  if (separated.length > 0) {
+    warnings.push(`Possible (quasi-)complete separation for ${separated.join(', ')}: odds ratios and CIs for these terms are unreliable`);
+  }
+
+  const pBar = successes / rows.length;
+  const nullDeviance = binomialDeviance(y, y.map(() => pBar));
+  const modelDf = kept.length - 1;
+  const lrStatistic = nullDeviance - deviance;
+
+  return {
+    fitted: true,
+    n: rows.length,
+    successes,
+    confidence,
+    coefficients,
+    aliased,
+    deviance,
+    nullDeviance,
+    residualDf: rows.length - kept.length,
+    aic: deviance + 2 * kept.length,
+    likelihoodRatioTest: {
+      statistic: lrStatistic,
+      df: modelDf,
+      pValue: modelDf > 0 ? chiSquarePValue(lrStatistic, modelDf) : null
+    },
+    iterations,
+    converged,
+    warnings
+  };
+}
+
+export default fitLogisticRegression;
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+// Power analysis for SW-WCD Research (port of the former power-analysis.R):
+// Cohen's w sample sizes and power curves for chi-square tests, and the number
+// of trials each matrix cell still needs given the effects observed so far
+
+import 'dotenv/config';
+import { Pool } from 'pg';
+import { writeFileSync } from 'fs';
+import { chiSquareQuantile, noncentralChiSquareCDF } from './stats-math.js';
+import { buildCells } from '../tests/matrix.js';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL
+});
+
+// Cohen's conventions: small 0.1, medium 0.3, large 0.5
+export const EFFECT_SIZES = [
+  { effectSize: 0.1, category: 'Small' },
+  { effectSize: 0.2, category: 'Small-Medium' },
+  { effectSize: 0.3, category: 'Medium' },
+  { effectSize: 0.4, category: 'Medium-Large' },
+  { effectSize: 0.5, category: 'Large' }
+];
+
+// Strategy every cell is compared against when planning trials
+const BASELINE_STRATEGY = 'proper';
+
+export const cellIdOf = (row) =>
+  `${row.cdn_vendor}-${row.cdn_config}-${row.browser}-${row.attack_type}-${row.origin_header_strategy}`;
+
+export class PowerAnalysis {
+  constructor({
+    trialsPerCell = parseInt(process.env.TRIALS_PER_CELL) || 20,
+    confidenceLevel = parseFloat(process.env.CONFIDENCE_LEVEL) || 0.95,
+    power = parseFloat(process.env.STATISTICAL_POWER) || 0.8,
+    // Smallest effect worth detecting; observed effects below it are planned at it
+    minEffectSize = parseFloat(process.env.MIN_EFFECT_SIZE) || 0.3
+  } = {}) {
+    this.trialsPerCell = trialsPerCell;
+    this.alpha = 1 - confidenceLevel;
+    this.targetPower = power;
+    this.minEffectSize = minEffectSize;
+  }
+
+  // Power of a chi-square test with total sample size n (pwr.chisq.test)
+  power(effectSize, n, df = 1) {
+    const critical = chiSquareQuantile(1 - this.alpha, df);
+    return 1 - noncentralChiSquareCDF(critical, df, n * effectSize * effectSize);
+  }
+
+  // Smallest total sample size reaching the target power, rounded up like the R script
+  sampleSize(effectSize, df = 1) {
+    if (!(effectSize > 0)) return Infinity;
+
+    let high = 2;
+    while (this.power(effectSize, high, df) < this.targetPower) high *= 2;
+    let low = high / 2;
+    while (high - low > 1e-6) {
+      const mid = (low + high) / 2;
+      if (this.power(effectSize, mid, df) < this.targetPower) low = mid;
+      else high = mid;
+    }
+    return Math.ceil(high);
+  }
+
+  // Smallest Cohen's w detectable at the target power with n observations
+  detectableEffect(n, df = 1) {
+    let low = 0;
+    let high = 10;
+    while (high - low > 1e-6) {
+      const mid = (low + high) / 2;
+      if (this.power(mid, n, df) < this.targetPower) low = mid;
+      else high = mid;
+    }
+    return high;
+  }
+
+  powerCurve(n, effectSizes, df = 1) {
+    return effectSizes.map(effectSize => ({ effectSize, power: this.power(effectSize, n, df) }));
+  }
+
+  // Success counts per matrix cell, optionally limited to one campaign
+  async loadObservedCells({ campaignId = null, db = pool } = {}) {
+    const result = await db.query(
+      `SELECT cdn_vendor, cdn_config, browser, attack_type, origin_header_strategy,
+              COUNT(*)::int AS total,
+              COUNT(*) FILTER (WHERE attack_outcome->>'success' = 'true')::int AS successes
+       FROM experiments
+       WHERE $1::text IS NULL OR campaign_id = $1
+       GROUP BY cdn_vendor, cdn_config, browser, attack_type, origin_header_strategy`,
+      [campaignId]
+    );
+    return new Map(result.rows.map(row => [cellIdOf(row), row]));
+  }
+
+  // Cohen's w of the 2x2 table cell vs baseline (|phi|); 0 when either margin is empty
+  observedEffect(cell, baseline) {
+    const a = cell.successes;
+    const b = cell.total - cell.successes;
+    const c = baseline.successes;
+    const d = baseline.total - baseline.successes;
+    const denominator = Math.sqrt((a + b) * (c + d) * (a + c) * (b + d));
+    return denominator === 0 ? 0 : Math.abs(a * d - b * c) / denominator;
+  }
+
+  // Trials each cell still needs so its comparison with the baseline strategy
+  // (same CDN, config, browser and attack) reaches the target power. Effects
+  // smaller than minEffectSize, and cells without data, are planned at it.
+  trialNeeds(observed, cells = buildCells()) {
+    const empty = { total: 0, successes: 0 };
+    const baselineId = (cell) => `${cell.cdn}-${cell.cdnConfig}-${cell.browser}-${cell.attack}-${BASELINE_STRATEGY}`;
+    const needs = cells.map(cell => {
+      const counts = observed.get(cell.cellId) || empty;
+      const baselineCounts = observed.get(baselineId(cell)) || empty;
+      const observedEffect = cell.strategy === BASELINE_STRATEGY || counts.total === 0 || baselineCounts.total === 0
+        ? null
+        : this.observedEffect(counts, baselineCounts);
+      const plannedEffect = Math.max(observedEffect ?? 0, this.minEffectSize);
+      // Balanced two-group comparison: half the total sample size per cell
+      const requiredPerCell = Math.ceil(this.sampleSize(plannedEffect) / 2);
+
+      return {
+        cellId: cell.cellId,
+        baselineCellId: baselineId(cell),
+        observed: counts.total,
+        successes: counts.successes,
+        observedEffect,
+        plannedEffect,
+        requiredPerCell
+      };
+    });
+
+    // A baseline cell must keep up with the most demanding comparison it serves
+    const requiredByBaseline = {};
+    needs.forEach(need => {
+      requiredByBaseline[need.baselineCellId] = Math.max(requiredByBaseline[need.baselineCellId] || 0, need.requiredPerCell);
+    });
+    needs.forEach(need => {
+      if (need.cellId === need.baselineCellId) {
+        need.requiredPerCell = requiredByBaseline[need.cellId];
+      }
+      need.needed = Math.max(0, need.requiredPerCell - need.observed);
+    });
+
+    return needs;
+  }
+
+  report() {
+    const results = EFFECT_SIZES.map(({ effectSize, category }) => ({
+      effectSize,
+      sampleSize: this.sampleSize(effectSize),
+      category
+    }));
+
+    console.log(`Power Analysis Results (power = ${this.targetPower}, α = ${this.alpha.toFixed(2)}, df = 1):`);
+    results.forEach(row => {
+      console.log(`  w = ${row.effectSize.toFixed(1)} (${row.category}): N = ${row.sampleSize}`);
+    });
+
+    const cells = buildCells().length;
+    // Each strategy comparison pools two cells
+    const comparisonN = this.trialsPerCell * 2;
+    const detectableEffect = this.detectableEffect(comparisonN);
+
+    console.log('\nOur Experimental Design:');
+    console.log('Cells:', cells);
+    console.log('Trials per cell:', this.trialsPerCell);
+    console.log('Total trials:', cells * this.trialsPerCell);
+    console.log(`Detectable effect size (w) for a cell vs baseline comparison (N = ${comparisonN}):`, detectableEffect.toFixed(3));
+    console.log(detectableEffect <= 0.3 ? ' Design can detect medium effects' : ' Design may only detect large effects');
+
+    const curve = this.powerCurve(comparisonN, [0.1, 0.15, 0.2, 0.25, 0.3, 0.35, 0.4, 0.45, 0.5]);
+    console.log(`\nPower curve (N = ${comparisonN}):`);
+    curve.forEach(point => console.log(`  w = ${point.effectSize.toFixed(2)}: ${(point.power * 100).toFixed(1)}%`));
+
+    return { results, cells, detectableEffect, curve };
+  }
+}
+
+// Main execution
+async function main() {
+  const analysis = new PowerAnalysis();
+  const args = process.argv.slice(2);
+
+  try {
+    if (args[0] === '--needs') {
+      const campaignId = args[1] || null;
+      const needs = analysis.trialNeeds(await analysis.loadObservedCells({ campaignId }));
+      const pending = needs.filter(need => need.needed > 0);
+
+      console.log(`\n=== TRIALS NEEDED (power ${analysis.targetPower}, min effect w = ${analysis.minEffectSize}) ===\n`);
+      pending.forEach(need => {
+        const effect = need.observedEffect === null ? 'n/a' : need.observedEffect.toFixed(3);
+        console.log(`  ${need.cellId}: ${need.observed}/${need.requiredPerCell} done, observed w = ${effect}, needs ${need.needed} more`);
+      });
+      console.log(`\n${pending.length}/${needs.length} cells need ${pending.reduce((sum, need) => sum + need.needed, 0)} more trials`);
+
+      writeFileSync('./analysis/trial-needs.json', JSON.stringify(needs, null, 2));
+      console.log('Saved to analysis/trial-needs.json (schedule with: npm run campaign -- --power)');
+      return;
+    }
+
+    const { results } = analysis.report();
+
+    // Same columns as the R script's write.csv
+    writeFileSync('./analysis/power-analysis-results.csv', [
+      'effect_size,sample_size,effect_category',
+      ...results.map(row => `${row.effectSize},${row.sampleSize},${row.category}`)
+    ].join('\n') + '\n');
+    console.log('\nPower analysis complete. Results saved to analysis/power-analysis-results.csv');
+
+  } catch (error) {
+    console.error('Power analysis failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default PowerAnalysis;
@@ -0,0 +1,110 @@
+// Sequential stopping for matrix cells: after each trial, decide whether a
+// cell's success rate is already established (clearly low or clearly high)
+// so the campaign runner can stop scheduling it
+import { regularizedBeta } from './stats-math.js';
+
+export const SEQUENTIAL_METHODS = ['sprt', 'bayes'];
+
+export const DECISIONS = {
+  CONTINUE: 'continue',
+  // Rate established at or below p0: the attack does not work in this cell
+  STOP_FAILURE: 'stop-failure',
+  // Rate established at or above p1: the attack works in this cell
+  STOP_SUCCESS: 'stop-success',
+  // Trial budget exhausted without a decision
+  STOP_LIMIT: 'stop-limit'
+};
+
+export class SequentialTest {
+  constructor({
+    method = process.env.SEQUENTIAL_METHOD || 'sprt',
+    confidenceLevel = parseFloat(process.env.CONFIDENCE_LEVEL) || 0.95,
+    power = parseFloat(process.env.STATISTICAL_POWER) || 0.8,
+    // Success rates that count as "does not work" / "works"
+    p0 = parseFloat(process.env.SEQUENTIAL_P0) || 0.05,
+    p1 = parseFloat(process.env.SEQUENTIAL_P1) || 0.5,
+    minTrials = parseInt(process.env.SEQUENTIAL_MIN_TRIALS) || 5,
+    maxTrials = parseInt(process.env.TRIALS_PER_CELL) || 20,
+    // Beta prior for the Bayesian method (uniform by default)
+    prior = { alpha: 1, beta: 1 }
+  } = {}) {
+    if (!SEQUENTIAL_METHODS.includes(method)) {
+      throw new Error(`Invalid sequential method: ${method}. Must be one of: ${SEQUENTIAL_METHODS.join(', ')}`);
+    }
+    if (!(p0 > 0 && p0 < p1 && p1 < 1)) {
+      throw new Error(`Sequential thresholds must satisfy 0 < p0 < p1 < 1 (got p0=${p0}, p1=${p1})`);
+    }
+
+    this.method = method;
+    this.confidenceLevel = confidenceLevel;
+    this.alpha = 1 - confidenceLevel;
+    this.beta = 1 - power;
+    this.p0 = p0;
+    this.p1 = p1;
+    this.minTrials = minTrials;
+    this.maxTrials = maxTrials;
+    this.prior = prior;
+  }
+
+  // Stored with the campaign so a resumed run applies the same rule
+  toJSON() {
+    return {
+      method: this.method,
+      confidenceLevel: this.confidenceLevel,
+      power: 1 - this.beta,
+      p0: this.p0,
+      p1: this.p1,
+      minTrials: this.minTrials,
+      maxTrials: this.maxTrials,
+      prior: this.prior
+    };
+  }
+
+  static fromJSON(settings) {
+    return new SequentialTest(settings);
+  }
+
+  // Wald's SPRT of H0: p = p0 against H1: p = p1
+  sprt(successes, total) {
+    const failures = total - successes;
+    const llr = successes * Math.log(this.p1 / this.p0) +
+      failures * Math.log((1 - this.p1) / (1 - this.p0));
+    const upper = Math.log((1 - this.beta) / this.alpha);
+    const lower = Math.log(this.beta / (1 - this.alpha));
+
+    let decision = DECISIONS.CONTINUE;
+    if (llr >= upper) decision = DECISIONS.STOP_SUCCESS;
+    else if (llr <= lower) decision = DECISIONS.STOP_FAILURE;
+
+    return { decision, statistic: llr, bounds: { lower, upper } };
+  }
+
+  // Beta-binomial posterior: stop once P(p < p0) or P(p > p1) reaches the
+  // configured confidence
+  bayes(successes, total) {
+    const a = this.prior.alpha + successes;
+    const b = this.prior.beta + total - successes;
+    const pBelow = regularizedBeta(this.p0, a, b);
+    const pAbove = 1 - regularizedBeta(this.p1, a, b);
+
+    let decision = DECISIONS.CONTINUE;
+    if (pBelow >= this.confidenceLevel) decision = DECISIONS.STOP_FAILURE;
+    else if (pAbove >= this.confidenceLevel) decision = DECISIONS.STOP_SUCCESS;
+
+    return { decision, statistic: Math.max(pBelow, pAbove), posterior: { alpha: a, beta: b, pBelow, pAbove } };
+  }
+
+  evaluate(successes, total) {
+    const result = this.method === 'sprt' ? this.sprt(successes, total) : this.bayes(successes, total);
+
+    if (total < this.minTrials) {
+      result.decision = DECISIONS.CONTINUE;
+    } else if (result.decision === DECISIONS.CONTINUE && total >= this.maxTrials) {
+      result.decision = DECISIONS.STOP_LIMIT;
+    }
+
+    return { method: this.method, successes, total, ...result };
+  }
+}
+
+export default SequentialTest;
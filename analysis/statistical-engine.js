@@ -1,39 +1,45 @@
-import { Pool } from 'pg';
-import { readFileSync } from 'fs';
-import { createObjectCsvWriter } from 'csv-writer';
-
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL
-});
+import { readFileSync, writeFileSync } from 'fs';
+import { writeCSV } from './csv.js';
+import { createDataSource, parseScopeArgs } from './data-sources.js';
+import {
+  chiSquarePValue, fisherExactTest, wilsonInterval, clopperPearsonInterval,
+  holmAdjust, benjaminiHochbergAdjust
+} from './stats-math.js';
+import { fitLogisticRegression } from './logistic-regression.js';
+import { attributeFragments } from './fragment-attribution.js';
+import { renderHTMLReport } from './html-report.js';
+import { STRATEGY_CATALOG } from '../origin/strategies.js';
 
 export class StatisticalEngine {
-  constructor() {
+  // source: PostgresSource, ExportFileSource or PlaywrightResultsSource
+  constructor({ source = createDataSource() } = {}) {
+    this.source = source;
     this.results = [];
+    this.scope = 'Last 30 days';
+    this.filters = { days: 30 };
+    this.confidenceLevel = parseFloat(process.env.CONFIDENCE_LEVEL) || 0.95;
+    this.alpha = 1 - this.confidenceLevel;
+    // Which adjusted p-value gates significance and recommendations: holm or bh
+    this.correction = (process.env.MULTIPLE_COMPARISON_CORRECTION || 'holm').toLowerCase();
+    if (!['holm', 'bh'].includes(this.correction)) {
+      throw new Error(`Invalid MULTIPLE_COMPARISON_CORRECTION: ${this.correction}. Must be one of: holm, bh`);
+    }
   }
 
-  async loadExperimentData() {
-    const query = `
-      SELECT 
-        trial_id,
-        cdn_vendor,
-        cdn_config, 
-        browser,
-        attack_type,
-        origin_header_strategy,
-        attack_outcome->>'success' as success,
-        attack_outcome->>'cache_hit' as cache_hit,
-        attack_outcome->>'victim_data_retrieved' as data_retrieved,
-        execution_time_ms
-      FROM experiments
-      WHERE timestamp > NOW() - INTERVAL '30 days'
-      ORDER BY timestamp DESC
-    `;
-
-    const result = await pool.query(query);
-    this.results = result.rows;
+  // filters from parseScopeArgs(): time window, campaign and CDN/attack/
+  // strategy/browser subsets. The resulting scope is shown in every report.
+  async loadExperimentData(filters = {}) {
+    const { rows, scope } = await this.source.load(filters);
+    this.results = rows;
+    this.scope = scope;
+    this.filters = filters;
     return this.results;
   }
 
+  async close() {
+    await this.source.close();
+  }
+
   calculateSuccessRates() {
     const rates = {};
     
@@ -67,62 +73,202 @@ export class StatisticalEngine {
       rate.cacheHitRate = (rate.cacheHits / rate.total) * 100;
       rate.dataRetrievalRate = (rate.dataRetrievals / rate.total) * 100;
       rate.avgExecutionTime = rate.executionTimes.reduce((a, b) => a + b, 0) / rate.executionTimes.length;
+      
+      // Wilson and Clopper-Pearson intervals (percent) for each rate
+      rate.successRateCI = this.calculateIntervals(rate.successes, rate.total);
+      rate.cacheHitRateCI = this.calculateIntervals(rate.cacheHits, rate.total);
+      rate.dataRetrievalRateCI = this.calculateIntervals(rate.dataRetrievals, rate.total);
     });
     
     return rates;
   }
 
+  calculateIntervals(successes, total) {
+    const toPercent = ({ lower, upper }) => ({ lower: lower * 100, upper: upper * 100 });
+    return {
+      confidence: this.confidenceLevel,
+      wilson: toPercent(wilsonInterval(successes, total, this.confidenceLevel)),
+      clopperPearson: toPercent(clopperPearsonInterval(successes, total, this.confidenceLevel))
+    };
+  }
+
+  formatInterval(ci, method = 'wilson') {
+    return `[${ci[method].lower.toFixed(1)}, ${ci[method].upper.toFixed(1)}]`;
+  }
+
+  // Success/failure counts per value of `field` (cdn_vendor, attack_type, ...)
+  buildContingencyTable(field, trials = this.results) {
+    const table = {};
+    trials.forEach(trial => {
+      const key = trial[field];
+      if (!table[key]) table[key] = { success: 0, failure: 0 };
+      if (trial.success === 'true') table[key].success++;
+      else table[key].failure++;
+    });
+    return table;
+  }
+
   performChiSquareTest(contingencyTable) {
-    // Simple chi-square implementation for independence testing
-    const rows = Object.keys(contingencyTable).length;
-    const cols = Object.keys(contingencyTable[Object.keys(contingencyTable)[0]]).length;
+    // Empty rows/columns carry no information and would give zero expected counts
+    const rowKeys = Object.keys(contingencyTable)
+      .filter(row => Object.values(contingencyTable[row]).some(val => val > 0));
+    const colKeys = rowKeys.length === 0 ? [] : Object.keys(contingencyTable[rowKeys[0]])
+      .filter(col => rowKeys.some(row => contingencyTable[row][col] > 0));
     
     let total = 0;
     const rowTotals = {};
     const colTotals = {};
     
     // Calculating totals
-    Object.entries(contingencyTable).forEach(([row, cols]) => {
-      rowTotals[row] = 0;
-      Object.values(cols).forEach(val => {
-        rowTotals[row] += val;
-        total += val;
-      });
+    rowKeys.forEach(row => {
+      rowTotals[row] = colKeys.reduce((sum, col) => sum + contingencyTable[row][col], 0);
+      total += rowTotals[row];
     });
     
-    Object.keys(contingencyTable[Object.keys(contingencyTable)[0]]).forEach(col => {
-      colTotals[col] = 0;
-      Object.values(contingencyTable).forEach(row => {
-        colTotals[col] += row[col];
-      });
+    colKeys.forEach(col => {
+      colTotals[col] = rowKeys.reduce((sum, row) => sum + contingencyTable[row][col], 0);
     });
     
-    // Calculating chi-square statistic
+    const df = (rowKeys.length - 1) * (colKeys.length - 1);
+    if (df < 1) {
+      return {
+        chiSquare: 0,
+        degreesOfFreedom: 0,
+        pValue: null,
+        method: 'none',
+        warnings: ['Test not applicable: fewer than two non-empty rows or columns']
+      };
+    }
+    
+    // Calculating chi-square statistic and expected counts
     let chiSquare = 0;
-    Object.entries(contingencyTable).forEach(([row, cols]) => {
-      Object.entries(cols).forEach(([col, observed]) => {
+    const expectedCounts = {};
+    rowKeys.forEach(row => {
+      expectedCounts[row] = {};
+      colKeys.forEach(col => {
         const expected = (rowTotals[row] * colTotals[col]) / total;
-        chiSquare += Math.pow(observed - expected, 2) / expected;
+        expectedCounts[row][col] = expected;
+        chiSquare += Math.pow(contingencyTable[row][col] - expected, 2) / expected;
       });
     });
     
-    const df = (rows - 1) * (cols - 1);
+    const expectedValues = Object.values(expectedCounts).flatMap(row => Object.values(row));
+    const sparseCells = expectedValues.filter(expected => expected < 5).length;
+    const minExpected = Math.min(...expectedValues);
+    const warnings = [];
     
-    return {
+    // Cochran's rule: chi-square approximation needs expected >= 5 in most cells
+    if (sparseCells > 0) {
+      warnings.push(`${sparseCells} of ${expectedValues.length} cells have expected count < 5 (min ${minExpected.toFixed(2)})`);
+    }
+    
+    const result = {
       chiSquare,
       degreesOfFreedom: df,
-      pValue: this.calculatePValue(chiSquare, df)
+      pValue: this.calculatePValue(chiSquare, df),
+      method: 'chi-square',
+      minExpected,
+      sparseCells,
+      expectedCounts,
+      warnings
     };
+    
+    // Sparse 2x2: Fisher's exact test replaces the approximation
+    if (df === 1 && sparseCells > 0) {
+      const [r1, r2] = rowKeys;
+      const [c1, c2] = colKeys;
+      const fisher = fisherExactTest(
+        contingencyTable[r1][c1], contingencyTable[r1][c2],
+        contingencyTable[r2][c1], contingencyTable[r2][c2]
+      );
+      result.chiSquarePValue = result.pValue;
+      result.pValue = fisher.pValue;
+      result.method = 'fisher-exact';
+      result.fisher = fisher;
+      warnings.push('Sparse 2x2 table: p-value from Fisher\'s exact test');
+    } else if (sparseCells / expectedValues.length > 0.2 || minExpected < 1) {
+      warnings.push('Chi-square approximation unreliable (>20% of cells with expected < 5 or any < 1); pool levels or collect more trials');
+    }
+    
+    return result;
   }
 
+  // Exact upper-tail p-value of the chi-square distribution
   calculatePValue(chiSquare, df) {
-    // Simplified p-value calculation using chi-square distribution
-    // In production, use a proper statistics library
-    if (chiSquare > 10.828 && df === 1) return 0.001;
-    if (chiSquare > 6.635 && df === 1) return 0.01;
-    if (chiSquare > 3.841 && df === 1) return 0.05;
-    if (chiSquare > 2.706 && df === 1) return 0.10;
-    return 0.20; // Conservative estimate
+    return chiSquarePValue(chiSquare, df);
+  }
+
+  // Attach Holm and BH adjusted p-values to a family of test results; tests
+  // without a p-value are left out of the family
+  adjustPValues(results) {
+    const pValues = results.map(result => result.pValue);
+    const holm = holmAdjust(pValues);
+    const bh = benjaminiHochbergAdjust(pValues);
+    results.forEach((result, i) => {
+      result.holmPValue = holm[i];
+      result.bhPValue = bh[i];
+      result.significantHolm = holm[i] !== null && holm[i] < this.alpha;
+      result.significantBH = bh[i] !== null && bh[i] < this.alpha;
+      result.significant = this.correction === 'bh' ? result.significantBH : result.significantHolm;
+    });
+    return results;
+  }
+
+  // Pairwise Fisher exact tests on success: strategies within each CDN x attack
+  // and CDNs within each attack x strategy, adjusted together as one family
+  performPairwiseComparisons(successRates) {
+    const cells = Object.entries(successRates).map(([config, rate]) => ({ config, ...rate }));
+    const comparisons = [];
+    
+    const compareWithin = (dimension, groupOf) => {
+      const groups = {};
+      cells.forEach(cell => {
+        const group = groupOf(cell);
+        if (!groups[group]) groups[group] = [];
+        groups[group].push(cell);
+      });
+      
+      Object.entries(groups).forEach(([group, members]) => {
+        members.sort((a, b) => a[dimension].localeCompare(b[dimension]));
+        for (let i = 0; i < members.length; i++) {
+          for (let j = i + 1; j < members.length; j++) {
+            const a = members[i];
+            const b = members[j];
+            const fisher = fisherExactTest(a.successes, a.total - a.successes, b.successes, b.total - b.successes);
+            comparisons.push({
+              dimension,
+              group,
+              levelA: a[dimension],
+              levelB: b[dimension],
+              configA: a.config,
+              configB: b.config,
+              successRateA: a.successRate,
+              successRateB: b.successRate,
+              totalA: a.total,
+              totalB: b.total,
+              difference: a.successRate - b.successRate,
+              oddsRatio: fisher.oddsRatio,
+              pValue: fisher.pValue
+            });
+          }
+        }
+      });
+    };
+    
+    compareWithin('strategy', cell => `${cell.cdn}/${cell.attack}`);
+    compareWithin('cdn', cell => `${cell.attack}/${cell.strategy}`);
+    
+    return this.adjustPValues(comparisons);
+  }
+
+  formatTestResult(name, result) {
+    if (result.pValue === null) {
+      return `${name}: n/a`;
+    }
+    const p = result.pValue < 0.0001 ? result.pValue.toExponential(2) : result.pValue.toFixed(4);
+    const formatP = (value) => value < 0.0001 ? value.toExponential(2) : value.toFixed(4);
+    return `${name}: χ²=${result.chiSquare.toFixed(3)}, df=${result.degreesOfFreedom}, p=${p} (${result.method})` +
+      (result.holmPValue === undefined || result.holmPValue === null ? '' : `, Holm p=${formatP(result.holmPValue)}, BH p=${formatP(result.bhPValue)}`);
   }
 
   generateReport() {
@@ -130,7 +276,7 @@ export class StatisticalEngine {
     
     console.log('\n=== SW-WCD RESEARCH REPORT ===\n');
     console.log('Total Trials:', this.results.length);
-    console.log('Date Range: Last 30 days\n');
+    console.log(`Scope: ${this.scope}\n`);
     
     // Success rates by CDN and attack type
     console.log('SUCCESS RATES BY CDN AND ATTACK TYPE:');
@@ -147,31 +293,67 @@ export class StatisticalEngine {
         );
         const successes = relevant.filter(r => r.success === 'true').length;
         const rate = (successes / relevant.length) * 100;
+        const ci = this.calculateIntervals(successes, relevant.length);
         
-        console.log(`  ${attack}: ${rate.toFixed(1)}% (${successes}/${relevant.length})`);
+        console.log(`  ${attack}: ${rate.toFixed(1)}% (${successes}/${relevant.length}) Wilson ${this.formatInterval(ci)}`);
       });
     });
     
     console.log('\nSTATISTICAL SIGNIFICANCE:');
     console.log('========================');
     
-    // Test independence of CDN vendor and attack success
-    const contingencyTable = {};
-    cdns.forEach(cdn => {
-      contingencyTable[cdn] = { success: 0, failure: 0 };
-      const cdnTrials = this.results.filter(r => r.cdn_vendor === cdn);
-      contingencyTable[cdn].success = cdnTrials.filter(r => r.success === 'true').length;
-      contingencyTable[cdn].failure = cdnTrials.filter(r => r.success !== 'true').length;
+    // Test independence of each factor and attack success
+    const statisticalTests = {
+      cdnVsSuccess: this.performChiSquareTest(this.buildContingencyTable('cdn_vendor')),
+      attackVsSuccess: this.performChiSquareTest(this.buildContingencyTable('attack_type')),
+      strategyVsSuccess: this.performChiSquareTest(this.buildContingencyTable('origin_header_strategy')),
+      browserVsSuccess: this.performChiSquareTest(this.buildContingencyTable('browser'))
+    };
+    
+    // The four factor tests are themselves a family
+    this.adjustPValues(Object.values(statisticalTests));
+    
+    Object.entries(statisticalTests).forEach(([name, result]) => {
+      console.log(this.formatTestResult(name, result));
+      result.warnings.forEach(warning => console.log(`   ! ${warning}`));
+      
+      if (result.pValue === null) return;
+      if (result.significant) {
+        console.log(`   → Statistically significant relationship detected (${this.correction === 'bh' ? 'BH' : 'Holm'}-adjusted)`);
+      } else {
+        console.log('   → No statistically significant relationship');
+      }
     });
     
-    const chiSquareResult = this.performChiSquareTest(contingencyTable);
-    console.log(`CDN vs Success: χ²=${chiSquareResult.chiSquare.toFixed(3)}, df=${chiSquareResult.degreesOfFreedom}, p=${chiSquareResult.pValue}`);
+    // Pairwise comparisons across the grid, with multiplicity correction
+    const pairwiseComparisons = this.performPairwiseComparisons(successRates);
+    const rawSignificant = pairwiseComparisons.filter(c => c.pValue < this.alpha).length;
+    const holmSignificant = pairwiseComparisons.filter(c => c.significantHolm);
+    const bhSignificant = pairwiseComparisons.filter(c => c.significantBH);
+    
+    console.log('\nPAIRWISE COMPARISONS (Fisher exact, Holm / Benjamini-Hochberg adjusted):');
+    console.log('==========================================================================');
+    console.log(`${pairwiseComparisons.length} tests at α = ${this.alpha.toFixed(2)}: ${rawSignificant} unadjusted, ` +
+      `${holmSignificant.length} Holm, ${bhSignificant.length} BH significant`);
+    bhSignificant
+      .sort((a, b) => a.bhPValue - b.bhPValue)
+      .forEach(c => {
+        console.log(`  [${c.group}] ${c.levelA} ${c.successRateA.toFixed(1)}% vs ${c.levelB} ${c.successRateB.toFixed(1)}%: ` +
+          `p=${c.pValue.toPrecision(3)}, Holm p=${c.holmPValue.toPrecision(3)}, BH p=${c.bhPValue.toPrecision(3)}` +
+          `${c.significantHolm ? ' [Holm]' : ''} [BH]`);
+      });
     
-    if (chiSquareResult.pValue < 0.05) {
-      console.log('→ Statistically significant relationship detected');
-    } else {
-      console.log('→ No statistically significant relationship');
-    }
+    // Joint model: each factor's effect adjusted for the others
+    const logisticRegression = this.fitLogisticModel();
+    console.log('\nLOGISTIC REGRESSION:');
+    console.log('====================');
+    this.printLogisticModel(logisticRegression);
+    
+    // Which header fragments of the strategies carry their effect
+    const fragmentAttribution = this.attributeFragments();
+    console.log('\nFRAGMENT ATTRIBUTION:');
+    console.log('=====================');
+    this.printFragmentAttribution(fragmentAttribution);
     
     // Effect sizes
     console.log('\nEFFECT SIZES:');
@@ -180,40 +362,125 @@ export class StatisticalEngine {
     const overallSuccessRate = this.results.filter(r => r.success === 'true').length / this.results.length;
     console.log(`Overall success rate: ${(overallSuccessRate * 100).toFixed(1)}%`);
     
-    // Most vulnerable configuration
+    // Per-cell rates with intervals, so small-N cells show their uncertainty
+    const confidencePct = Math.round(this.confidenceLevel * 100);
+    console.log(`\nSUCCESS RATES BY CELL (${confidencePct}% Wilson / Clopper-Pearson):`);
+    Object.entries(successRates).forEach(([config, rate]) => {
+      console.log(`  ${config}: ${rate.successRate.toFixed(1)}% (${rate.successes}/${rate.total}) ` +
+        `${this.formatInterval(rate.successRateCI)} / ${this.formatInterval(rate.successRateCI, 'clopperPearson')}` +
+        `${rate.total < 10 ? ' [small N]' : ''}`);
+    });
+    
+    // Most vulnerable configuration: ranked by the Wilson lower bound, not the
+    // point estimate, so a lucky 3/3 cell cannot outrank a solid 18/20
     const configs = Object.entries(successRates)
       .filter(([_, rate]) => rate.total >= 10) // Minimum trials
-      .sort((a, b) => b[1].successRate - a[1].successRate);
+      .sort((a, b) => b[1].successRateCI.wilson.lower - a[1].successRateCI.wilson.lower);
     
     if (configs.length > 0) {
       const mostVulnerable = configs[0][1];
-      console.log(`Most vulnerable: ${mostVulnerable.cdn}-${mostVulnerable.attack}-${mostVulnerable.strategy} (${mostVulnerable.successRate.toFixed(1)}%)`);
+      console.log(`Most vulnerable: ${mostVulnerable.cdn}-${mostVulnerable.attack}-${mostVulnerable.strategy} (${mostVulnerable.successRate.toFixed(1)}%, ${confidencePct}% CI ${this.formatInterval(mostVulnerable.successRateCI)})`);
     }
     
     return {
       summary: {
         totalTrials: this.results.length,
         overallSuccessRate: overallSuccessRate * 100,
-        dateRange: '30 days'
+        scope: this.scope,
+        filters: this.filters
       },
       successRates,
-      statisticalTests: {
-        cdnVsSuccess: chiSquareResult
-      },
-      recommendations: this.generateRecommendations(successRates)
+      statisticalTests,
+      pairwiseComparisons,
+      logisticRegression,
+      fragmentAttribution,
+      recommendations: this.generateRecommendations(successRates, pairwiseComparisons)
     };
   }
 
-  generateRecommendations(successRates) {
+  // success ~ cdn_vendor + cdn_config + browser + attack_type + strategy
+  // with cdn x attack and attack x strategy interactions
+  fitLogisticModel(options = {}) {
+    return fitLogisticRegression(this.results, { confidence: this.confidenceLevel, ...options });
+  }
+
+  printLogisticModel(model) {
+    if (!model.fitted) {
+      model.warnings.forEach(warning => console.log(`   ! ${warning}`));
+      return;
+    }
+    
+    const lrt = model.likelihoodRatioTest;
+    console.log(`n = ${model.n}, ${model.coefficients.length} terms, ${model.iterations} IRLS iterations${model.converged ? '' : ' (not converged)'}`);
+    console.log(`Null deviance: ${model.nullDeviance.toFixed(2)}, residual deviance: ${model.deviance.toFixed(2)} on ${model.residualDf} df, AIC ${model.aic.toFixed(2)}`);
+    console.log(`Likelihood ratio test: χ² = ${lrt.statistic.toFixed(2)}, df = ${lrt.df}, p = ${lrt.pValue === null ? 'n/a' : lrt.pValue.toExponential(3)}`);
+    
+    const confidencePct = Math.round(model.confidence * 100);
+    console.log(`\nOdds ratios (${confidencePct}% Wald CI):`);
+    model.coefficients
+      .filter(c => c.term !== '(Intercept)')
+      .forEach(c => {
+        console.log(`  ${c.term}: OR ${c.oddsRatio.toPrecision(3)} [${c.ciLower.toPrecision(3)}, ${c.ciUpper.toPrecision(3)}] ` +
+          `p = ${c.pValue.toPrecision(3)}${c.pValue < 0.05 ? ' *' : ''}${c.separated ? ' [separation]' : ''}`);
+      });
+    
+    model.warnings.forEach(warning => console.log(`   ! ${warning}`));
+  }
+
+  // Each fragment's marginal effect (with vs without) and its odds ratio
+  // adjusted for CDN config, browser, attack and the other fragments
+  attributeFragments() {
+    return attributeFragments(this.results, { confidence: this.confidenceLevel });
+  }
+
+  printFragmentAttribution(attribution) {
+    const confidencePct = Math.round(this.confidenceLevel * 100);
+    attribution.units.forEach(unit => {
+      const adjusted = unit.adjusted
+        ? `adjusted OR ${unit.adjusted.oddsRatio.toPrecision(3)} [${unit.adjusted.ciLower.toPrecision(3)}, ${unit.adjusted.ciUpper.toPrecision(3)}] ` +
+          `p = ${unit.adjusted.pValue.toPrecision(3)}${unit.adjusted.separated ? ' [separation]' : ''}`
+        : 'adjusted OR n/a (aliased)';
+      console.log(`  ${unit.name}: ${unit.successRateWith.toFixed(1)}% with (${unit.successesWith}/${unit.trialsWith}) vs ` +
+        `${unit.successRateWithout.toFixed(1)}% without (${unit.successesWithout}/${unit.trialsWithout}), ` +
+        `Δ ${unit.difference.toFixed(1)} pp, Fisher p = ${unit.pValue.toPrecision(3)}, Holm p = ${unit.holmPValue.toPrecision(3)}` +
+        `${unit.holmPValue < this.alpha ? ' *' : ''}; ${adjusted}`);
+    });
+    if (attribution.units.length > 0) {
+      console.log(`  (${confidencePct}% Wald CIs; fragments only ever sent together are attributed jointly)`);
+    }
+    attribution.warnings.forEach(warning => console.log(`   ! ${warning}`));
+  }
+
+  // Strongest comparison in which `config` has the significantly higher success
+  // rate after correction, or null if none survives
+  findSupportingComparison(config, pairwiseComparisons) {
+    return pairwiseComparisons
+      .filter(c => c.significant &&
+        ((c.configA === config && c.difference > 0) || (c.configB === config && c.difference < 0)))
+      .sort((a, b) => a.pValue - b.pValue)[0] || null;
+  }
+
+  generateRecommendations(successRates, pairwiseComparisons = []) {
     const recommendations = [];
+    const adjustedKey = this.correction === 'bh' ? 'bhPValue' : 'holmPValue';
     
-    // High success rate configurations need mitigation
+    // High success rate configurations need mitigation, but only when the rate
+    // is significantly above a comparable cell after multiplicity correction
     Object.entries(successRates)
       .filter(([_, rate]) => rate.successRate > 50 && rate.total >= 5)
       .forEach(([config, rate]) => {
+        const evidence = this.findSupportingComparison(config, pairwiseComparisons);
+        if (!evidence) {
+          console.log(`  Not recommending ${config} (${rate.successRate.toFixed(1)}%): no comparison significant after ${this.correction} correction`);
+          return;
+        }
+        
         recommendations.push({
           config,
           successRate: rate.successRate,
+          comparedTo: evidence.configA === config ? evidence.configB : evidence.configA,
+          correction: this.correction,
+          adjustedPValue: evidence[adjustedKey],
           mitigation: this.suggestMitigation(rate.cdn, rate.attack, rate.strategy)
         });
       });
@@ -236,36 +503,46 @@ export class StatisticalEngine {
       mitigations.push('Use strict Cache-Control headers');
     }
     
+    if (attack === 't3-delimiter-confusion') {
+      mitigations.push('Normalize paths identically at CDN and origin (matrix params, encoded delimiters)');
+      mitigations.push('Reject or canonicalize requests containing ;, %3B, %23, %3F or %2F in the path');
+      mitigations.push('Key the cache on the origin-resolved path rather than the raw URI');
+    }
+    
     if (attack === 't4-scope-misconfig') {
       mitigations.push('Restrict Service Worker scope using Service-Worker-Allowed header');
       mitigations.push('Use user-specific cache keys');
       mitigations.push('Avoid path normalization that creates cache collisions');
     }
     
-    if (strategy === 'misconfigured') {
-      mitigations.push('Always set Cache-Control: private, no-store for authenticated content');
+    const strategyMitigation = STRATEGY_CATALOG[strategy]?.mitigation;
+    if (strategyMitigation) {
+      mitigations.push(strategyMitigation);
     }
     
     return mitigations;
   }
 
-  async exportToCSV() {
+  async exportToCSV(report) {
     const successRates = this.calculateSuccessRates();
     
-    const csvWriter = createObjectCsvWriter({
-      path: './analysis/success-rates.csv',
-      header: [
-        { id: 'config', title: 'Configuration' },
-        { id: 'cdn', title: 'CDN' },
-        { id: 'attack', title: 'Attack' },
-        { id: 'strategy', title: 'Strategy' },
-        { id: 'total', title: 'Total Trials' },
-        { id: 'successRate', title: 'Success Rate %' },
-        { id: 'cacheHitRate', title: 'Cache Hit Rate %' },
-        { id: 'dataRetrievalRate', title: 'Data Retrieval Rate %' },
-        { id: 'avgExecutionTime', title: 'Avg Execution Time (ms)' }
-      ]
-    });
+    const successRatesHeader = [
+      { id: 'config', title: 'Configuration' },
+      { id: 'cdn', title: 'CDN' },
+      { id: 'attack', title: 'Attack' },
+      { id: 'strategy', title: 'Strategy' },
+      { id: 'total', title: 'Total Trials' },
+      { id: 'successRate', title: 'Success Rate %' },
+      { id: 'cacheHitRate', title: 'Cache Hit Rate %' },
+      { id: 'dataRetrievalRate', title: 'Data Retrieval Rate %' },
+      { id: 'avgExecutionTime', title: 'Avg Execution Time (ms)' },
+      ...['successRate', 'cacheHitRate', 'dataRetrievalRate'].flatMap(metric => [
+        { id: `${metric}WilsonLower`, title: `${metric} Wilson Lower %` },
+        { id: `${metric}WilsonUpper`, title: `${metric} Wilson Upper %` },
+        { id: `${metric}CPLower`, title: `${metric} Clopper-Pearson Lower %` },
+        { id: `${metric}CPUpper`, title: `${metric} Clopper-Pearson Upper %` }
+      ])
+    ];
     
     const records = Object.entries(successRates).map(([key, rate]) => ({
       config: key,
@@ -276,27 +553,188 @@ export class StatisticalEngine {
       successRate: rate.successRate.toFixed(2),
       cacheHitRate: rate.cacheHitRate.toFixed(2),
       dataRetrievalRate: rate.dataRetrievalRate.toFixed(2),
-      avgExecutionTime: rate.avgExecutionTime.toFixed(0)
+      avgExecutionTime: rate.avgExecutionTime.toFixed(0),
+      ...Object.fromEntries(['successRate', 'cacheHitRate', 'dataRetrievalRate'].flatMap(metric => {
+        const ci = rate[`${metric}CI`];
+        return [
+          [`${metric}WilsonLower`, ci.wilson.lower.toFixed(2)],
+          [`${metric}WilsonUpper`, ci.wilson.upper.toFixed(2)],
+          [`${metric}CPLower`, ci.clopperPearson.lower.toFixed(2)],
+          [`${metric}CPUpper`, ci.clopperPearson.upper.toFixed(2)]
+        ];
+      }))
     }));
     
-    await csvWriter.writeRecords(records);
+    writeCSV('./analysis/success-rates.csv', successRatesHeader, records);
     console.log('Exported success rates to analysis/success-rates.csv');
+    
+    const testsHeader = [
+      { id: 'test', title: 'Test' },
+      { id: 'method', title: 'Method' },
+      { id: 'chiSquare', title: 'Chi-Square' },
+      { id: 'df', title: 'df' },
+      { id: 'pValue', title: 'p-value' },
+      { id: 'holmPValue', title: 'Holm p-value' },
+      { id: 'bhPValue', title: 'BH p-value' },
+      { id: 'significantHolm', title: 'Significant (Holm)' },
+      { id: 'significantBH', title: 'Significant (BH)' },
+      { id: 'minExpected', title: 'Min Expected Count' },
+      { id: 'warnings', title: 'Warnings' }
+    ];
+    
+    writeCSV('./analysis/statistical-tests.csv', testsHeader, Object.entries(report.statisticalTests).map(([name, result]) => ({
+      test: name,
+      method: result.method,
+      chiSquare: result.chiSquare.toFixed(4),
+      df: result.degreesOfFreedom,
+      pValue: result.pValue === null ? '' : result.pValue.toPrecision(6),
+      holmPValue: result.holmPValue === null ? '' : result.holmPValue.toPrecision(6),
+      bhPValue: result.bhPValue === null ? '' : result.bhPValue.toPrecision(6),
+      significantHolm: result.significantHolm,
+      significantBH: result.significantBH,
+      minExpected: result.minExpected === undefined ? '' : result.minExpected.toFixed(2),
+      warnings: result.warnings.join('; ')
+    })));
+    console.log('Exported statistical tests to analysis/statistical-tests.csv');
+    
+    const pairwiseHeader = [
+      { id: 'dimension', title: 'Compared' },
+      { id: 'group', title: 'Within' },
+      { id: 'configA', title: 'Configuration A' },
+      { id: 'configB', title: 'Configuration B' },
+      { id: 'successRateA', title: 'Success Rate A %' },
+      { id: 'successRateB', title: 'Success Rate B %' },
+      { id: 'totalA', title: 'Trials A' },
+      { id: 'totalB', title: 'Trials B' },
+      { id: 'difference', title: 'Difference (pp)' },
+      { id: 'pValue', title: 'p-value (Fisher)' },
+      { id: 'holmPValue', title: 'Holm p-value' },
+      { id: 'bhPValue', title: 'BH p-value' },
+      { id: 'significantHolm', title: 'Significant (Holm)' },
+      { id: 'significantBH', title: 'Significant (BH)' }
+    ];
+    
+    writeCSV('./analysis/pairwise-comparisons.csv', pairwiseHeader, report.pairwiseComparisons.map(c => ({
+      ...c,
+      successRateA: c.successRateA.toFixed(2),
+      successRateB: c.successRateB.toFixed(2),
+      difference: c.difference.toFixed(2),
+      pValue: c.pValue.toPrecision(6),
+      holmPValue: c.holmPValue.toPrecision(6),
+      bhPValue: c.bhPValue.toPrecision(6)
+    })));
+    console.log('Exported pairwise comparisons to analysis/pairwise-comparisons.csv');
+    
+    const fragmentHeader = [
+      { id: 'name', title: 'Fragment(s)' },
+      { id: 'strategies', title: 'Strategies' },
+      { id: 'trialsWith', title: 'Trials With' },
+      { id: 'successRateWith', title: 'Success Rate With %' },
+      { id: 'trialsWithout', title: 'Trials Without' },
+      { id: 'successRateWithout', title: 'Success Rate Without %' },
+      { id: 'difference', title: 'Difference (pp)' },
+      { id: 'pValue', title: 'p-value (Fisher)' },
+      { id: 'holmPValue', title: 'Holm p-value' },
+      { id: 'oddsRatio', title: 'Adjusted Odds Ratio' },
+      { id: 'ciLower', title: 'OR CI Lower' },
+      { id: 'ciUpper', title: 'OR CI Upper' },
+      { id: 'adjustedPValue', title: 'Adjusted p-value' }
+    ];
+    
+    writeCSV('./analysis/fragment-attribution.csv', fragmentHeader, report.fragmentAttribution.units.map(unit => ({
+      name: unit.name,
+      strategies: unit.strategies.join(' '),
+      trialsWith: unit.trialsWith,
+      successRateWith: unit.successRateWith.toFixed(2),
+      trialsWithout: unit.trialsWithout,
+      successRateWithout: unit.successRateWithout.toFixed(2),
+      difference: unit.difference.toFixed(2),
+      pValue: unit.pValue.toPrecision(6),
+      holmPValue: unit.holmPValue.toPrecision(6),
+      oddsRatio: unit.adjusted ? unit.adjusted.oddsRatio.toPrecision(6) : '',
+      ciLower: unit.adjusted ? unit.adjusted.ciLower.toPrecision(6) : '',
+      ciUpper: unit.adjusted ? unit.adjusted.ciUpper.toPrecision(6) : '',
+      adjustedPValue: unit.adjusted ? unit.adjusted.pValue.toPrecision(6) : ''
+    })));
+    console.log('Exported fragment attribution to analysis/fragment-attribution.csv');
+    
+    const model = report.logisticRegression;
+    if (!model.fitted) return;
+    
+    const regressionHeader = [
+      { id: 'term', title: 'Term' },
+      { id: 'estimate', title: 'Estimate (log-odds)' },
+      { id: 'standardError', title: 'Std. Error' },
+      { id: 'z', title: 'z' },
+      { id: 'pValue', title: 'p-value' },
+      { id: 'oddsRatio', title: 'Odds Ratio' },
+      { id: 'ciLower', title: 'OR CI Lower' },
+      { id: 'ciUpper', title: 'OR CI Upper' },
+      { id: 'separated', title: 'Separation' }
+    ];
+    
+    writeCSV('./analysis/logistic-regression.csv', regressionHeader, [
+      ...model.coefficients.map(c => ({
+        term: c.term,
+        estimate: c.estimate.toFixed(6),
+        standardError: c.standardError.toFixed(6),
+        z: c.z.toFixed(4),
+        pValue: c.pValue.toPrecision(6),
+        oddsRatio: c.oddsRatio.toPrecision(6),
+        ciLower: c.ciLower.toPrecision(6),
+        ciUpper: c.ciUpper.toPrecision(6),
+        separated: c.separated
+      })),
+      // Model fit rows, so the CSV stands on its own
+      { term: 'Null deviance', estimate: model.nullDeviance.toFixed(4), z: `df ${model.n - 1}` },
+      { term: 'Residual deviance', estimate: model.deviance.toFixed(4), z: `df ${model.residualDf}` },
+      {
+        term: 'Likelihood ratio test',
+        estimate: model.likelihoodRatioTest.statistic.toFixed(4),
+        z: `df ${model.likelihoodRatioTest.df}`,
+        pValue: model.likelihoodRatioTest.pValue === null ? '' : model.likelihoodRatioTest.pValue.toPrecision(6)
+      },
+      { term: 'AIC', estimate: model.aic.toFixed(4) }
+    ]);
+    console.log('Exported logistic regression to analysis/logistic-regression.csv');
+  }
+
+  exportToHTML(report, path = './analysis/report.html') {
+    writeFileSync(path, renderHTMLReport(report, {
+      results: this.results,
+      confidenceLevel: this.confidenceLevel,
+      correction: this.correction
+    }));
+    console.log(`Exported HTML report to ${path.replace(/^\.\//, '')}`);
   }
 }
 
 // Main execution
 async function main() {
-  const engine = new StatisticalEngine();
+  // --source postgres (default) | dataset.jsonl | dataset.csv | test-results.json
+  // The database defaults to the last 30 days; files default to all their trials
+  const argv = process.argv.slice(2);
+  const postgres = !argv.includes('--source') || argv[argv.indexOf('--source') + 1] === 'postgres';
+  let scopeArgs;
+  try {
+    scopeArgs = parseScopeArgs(argv, { defaultDays: postgres ? 30 : null, extraOptions: ['--source'] });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  const { filters, options } = scopeArgs;
+  const engine = new StatisticalEngine({ source: createDataSource(options.source || 'postgres') });
   
   try {
     console.log('Loading experiment data...');
-    await engine.loadExperimentData();
+    await engine.loadExperimentData(filters);
     
     console.log('Generating statistical report...');
     const report = engine.generateReport();
     
     console.log('Exporting to CSV...');
-    await engine.exportToCSV();
+    await engine.exportToCSV(report);
+    engine.exportToHTML(report);
     
     console.log('\n=== ANALYSIS COMPLETE ===');
     
@@ -304,7 +742,7 @@ async function main() {
     console.error('Analysis failed:', error);
     process.exit(1);
   } finally {
-    await pool.end();
+    await engine.close();
   }
 }
 
@@ -0,0 +1,312 @@
+// Distribution functions and exact tests used by StatisticalEngine
+
+// ln Γ(x), Lanczos approximation (g = 7, n = 9)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+export function logGamma(x) {
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) {
+    sum += LANCZOS[i] / (z + i);
+  }
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+const EPSILON = 1e-14;
+const MAX_ITERATIONS = 1000;
+
+// Regularized lower incomplete gamma P(a, x): series for x < a + 1,
+// otherwise 1 - Q(a, x) from the continued fraction (Numerical Recipes 6.2)
+export function regularizedGammaP(a, x) {
+  if (x <= 0) return 0;
+  if (x >= a + 1) return 1 - regularizedGammaQ(a, x);
+
+  let term = 1 / a;
+  let sum = term;
+  for (let n = 1; n < MAX_ITERATIONS; n++) {
+    term *= x / (a + n);
+    sum += term;
+    if (Math.abs(term) < Math.abs(sum) * EPSILON) break;
+  }
+  return Math.min(1, sum * Math.exp(-x + a * Math.log(x) - logGamma(a)));
+}
+
+// Regularized upper incomplete gamma Q(a, x) = 1 - P(a, x)
+export function regularizedGammaQ(a, x) {
+  if (x <= 0) return 1;
+  if (x < a + 1) return 1 - regularizedGammaP(a, x);
+
+  // Modified Lentz evaluation of the continued fraction
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < MAX_ITERATIONS; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return Math.max(0, Math.exp(-x + a * Math.log(x) - logGamma(a)) * h);
+}
+
+export function chiSquareCDF(x, df) {
+  return regularizedGammaP(df / 2, x / 2);
+}
+
+// Upper-tail p-value P(X² >= x)
+export function chiSquarePValue(x, df) {
+  if (!(df > 0) || !Number.isFinite(x)) return NaN;
+  return regularizedGammaQ(df / 2, x / 2);
+}
+
+// Quantile of the central chi-square distribution by bisection on the CDF
+export function chiSquareQuantile(p, df) {
+  let high = Math.max(1, df);
+  while (chiSquareCDF(high, df) < p) high *= 2;
+  let low = 0;
+  for (let i = 0; i < 200 && high - low > 1e-10 * high; i++) {
+    const mid = (low + high) / 2;
+    if (chiSquareCDF(mid, df) < p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+// Noncentral chi-square CDF as a Poisson(lambda / 2) mixture of central
+// chi-squares with df + 2j degrees of freedom, summed outward from the mode
+export function noncentralChiSquareCDF(x, df, lambda) {
+  if (x <= 0) return 0;
+  if (lambda <= 0) return chiSquareCDF(x, df);
+
+  const half = lambda / 2;
+  const mode = Math.floor(half);
+  const logWeight = (j) => -half + j * Math.log(half) - logGamma(j + 1);
+  let sum = 0;
+
+  for (let j = mode; j < mode + MAX_ITERATIONS; j++) {
+    const weight = Math.exp(logWeight(j));
+    sum += weight * chiSquareCDF(x, df + 2 * j);
+    if (weight < EPSILON) break;
+  }
+  for (let j = mode - 1; j >= 0; j--) {
+    const weight = Math.exp(logWeight(j));
+    sum += weight * chiSquareCDF(x, df + 2 * j);
+    if (weight < EPSILON) break;
+  }
+  return Math.min(1, sum);
+}
+
+const logFactorial = (n) => logGamma(n + 1);
+
+// Probability of the 2x2 table [[a, b], [c, d]] given its margins
+function hypergeometricLogP(a, b, c, d) {
+  return logFactorial(a + b) + logFactorial(c + d) + logFactorial(a + c) + logFactorial(b + d) -
+    logFactorial(a) - logFactorial(b) - logFactorial(c) - logFactorial(d) - logFactorial(a + b + c + d);
+}
+
+// Fisher's exact test for [[a, b], [c, d]]: two-sided p sums every table with
+// the same margins that is no more likely than the observed one
+export function fisherExactTest(a, b, c, d) {
+  const row1 = a + b;
+  const col1 = a + c;
+  const total = a + b + c + d;
+  const observed = hypergeometricLogP(a, b, c, d);
+
+  const minA = Math.max(0, row1 + col1 - total);
+  const maxA = Math.min(row1, col1);
+  let pValue = 0;
+  let pLess = 0;
+  let pGreater = 0;
+
+  for (let x = minA; x <= maxA; x++) {
+    const logP = hypergeometricLogP(x, row1 - x, col1 - x, total - row1 - col1 + x);
+    const p = Math.exp(logP);
+    // Relative tolerance so tables tied with the observed one are counted
+    if (logP <= observed + 1e-7) {
+      pValue += p;
+    }
+    if (x <= a) pLess += p;
+    if (x >= a) pGreater += p;
+  }
+
+  return {
+    pValue: Math.min(1, pValue),
+    pLess: Math.min(1, pLess),
+    pGreater: Math.min(1, pGreater),
+    oddsRatio: (b * c) === 0 ? (a * d === 0 ? NaN : Infinity) : (a * d) / (b * c)
+  };
+}
+
+// Standard normal CDF via the incomplete gamma function: erf(x) = P(1/2, x²)
+export function normalCDF(z) {
+  if (!Number.isFinite(z)) return z > 0 ? 1 : 0;
+  const half = 0.5 * regularizedGammaP(0.5, z * z / 2);
+  return z >= 0 ? 0.5 + half : 0.5 - half;
+}
+
+// Kolmogorov distribution upper tail Q(λ) = 2 Σ (-1)^(k-1) exp(-2k²λ²), the
+// asymptotic p-value of the two-sample KS test
+export function kolmogorovPValue(lambda) {
+  if (lambda < 0.2) return 1;
+  let sum = 0;
+  for (let k = 1; k <= 100; k++) {
+    const term = Math.exp(-2 * k * k * lambda * lambda);
+    sum += (k % 2 === 1 ? term : -term);
+    if (term < 1e-12) break;
+  }
+  return Math.min(1, Math.max(0, 2 * sum));
+}
+
+// Inverse standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9)
+export function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+    1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+    6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+    -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+    3.754408661907416e+00];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Continued fraction for the incomplete beta function (Numerical Recipes 6.4)
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m < MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+export function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(a, b, x) / a;
+  }
+  return 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+// Quantile of Beta(a, b) by bisection on the CDF (monotone, so always converges)
+export function betaQuantile(p, a, b) {
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 200 && high - low > 1e-12; i++) {
+    const mid = (low + high) / 2;
+    if (regularizedBeta(mid, a, b) < p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+// Wilson score interval for a binomial proportion
+export function wilsonInterval(successes, total, confidence = 0.95) {
+  if (total === 0) return { lower: 0, upper: 1 };
+
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const p = successes / total;
+  const z2 = z * z;
+  const center = (p + z2 / (2 * total)) / (1 + z2 / total);
+  const margin = (z / (1 + z2 / total)) * Math.sqrt(p * (1 - p) / total + z2 / (4 * total * total));
+
+  return { lower: Math.max(0, center - margin), upper: Math.min(1, center + margin) };
+}
+
+// Clopper-Pearson ("exact") interval from beta quantiles
+export function clopperPearsonInterval(successes, total, confidence = 0.95) {
+  if (total === 0) return { lower: 0, upper: 1 };
+
+  const alpha = 1 - confidence;
+  return {
+    lower: successes === 0 ? 0 : betaQuantile(alpha / 2, successes, total - successes + 1),
+    upper: successes === total ? 1 : betaQuantile(1 - alpha / 2, successes + 1, total - successes)
+  };
+}
+
+// Holm step-down adjusted p-values, as R's p.adjust(p, 'holm'): controls the
+// family-wise error rate. Nulls (tests not run) pass through.
+export function holmAdjust(pValues) {
+  const order = pValues.map((p, i) => [p, i]).filter(([p]) => p !== null).sort((a, b) => a[0] - b[0]);
+  const m = order.length;
+  const adjusted = pValues.map(() => null);
+  let running = 0;
+  order.forEach(([p, i], rank) => {
+    running = Math.max(running, Math.min(1, (m - rank) * p));
+    adjusted[i] = running;
+  });
+  return adjusted;
+}
+
+// Benjamini-Hochberg step-up adjusted p-values (p.adjust(p, 'BH')): controls
+// the false discovery rate
+export function benjaminiHochbergAdjust(pValues) {
+  const order = pValues.map((p, i) => [p, i]).filter(([p]) => p !== null).sort((a, b) => b[0] - a[0]);
+  const m = order.length;
+  const adjusted = pValues.map(() => null);
+  let running = 1;
+  order.forEach(([p, i], index) => {
+    running = Math.min(running, (m / (m - index)) * p);
+    adjusted[i] = running;
+  });
+  return adjusted;
+}
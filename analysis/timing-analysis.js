@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+// Timing side channel: can a cache hit be told from a miss by latency alone?
+// Compares the attacker's phase timings of hits and misses (Mann-Whitney U,
+// two-sample Kolmogorov-Smirnov) and scores a latency-threshold classifier by
+// its ROC curve. A separable distribution means caching is detectable even
+// when a CDN strips its cache status headers.
+
+import 'dotenv/config';
+import { writeCSV } from './csv.js';
+import { createDataSource, parseScopeArgs } from './data-sources.js';
+import { chiSquarePValue, normalQuantile, kolmogorovPValue, holmAdjust } from './stats-math.js';
+
+// Phases compared; attacker TTFB is where a cache hit should show
+export const TIMING_METRICS = ['attacker_ttfb_ms', 'attacker_fetch_ms'];
+
+const median = (sorted) => {
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Two-sided Mann-Whitney U test of x against y with tie and continuity
+// corrections (R's wilcox.test(x, y, exact = FALSE)). auc is P(X < Y) + P(X = Y)/2.
+export function mannWhitneyU(x, y) {
+  const n1 = x.length;
+  const n2 = y.length;
+  const n = n1 + n2;
+  const pooled = [...x.map(value => ({ value, first: true })), ...y.map(value => ({ value, first: false }))]
+    .sort((a, b) => a.value - b.value);
+
+  // Average ranks over ties
+  let rankSumX = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j + 1 < n && pooled[j + 1].value === pooled[i].value) j++;
+    const rank = (i + j + 2) / 2;
+    const ties = j - i + 1;
+    tieTerm += ties ** 3 - ties;
+    for (let k = i; k <= j; k++) {
+      if (pooled[k].first) rankSumX += rank;
+    }
+    i = j + 1;
+  }
+
+  const u = rankSumX - n1 * (n1 + 1) / 2;
+  const mean = n1 * n2 / 2;
+  const sigma = Math.sqrt((n1 * n2 / 12) * ((n + 1) - tieTerm / (n * (n - 1))));
+  const diff = u - mean;
+  const z = sigma > 0 ? (diff - Math.sign(diff) * 0.5) / sigma : 0;
+
+  return {
+    u,
+    z,
+    // Two-sided normal tail as P(χ²₁ >= z²), which keeps precision far out
+    pValue: sigma > 0 ? chiSquarePValue(z * z, 1) : 1,
+    // u counts pairs with x > y
+    auc: 1 - u / (n1 * n2)
+  };
+}
+
+// Two-sample Kolmogorov-Smirnov test with the asymptotic p-value
+export function kolmogorovSmirnov(x, y) {
+  const a = [...x].sort((p, q) => p - q);
+  const b = [...y].sort((p, q) => p - q);
+  let i = 0;
+  let j = 0;
+  let d = 0;
+
+  while (i < a.length && j < b.length) {
+    const value = Math.min(a[i], b[j]);
+    while (i < a.length && a[i] === value) i++;
+    while (j < b.length && b[j] === value) j++;
+    d = Math.max(d, Math.abs(i / a.length - j / b.length));
+  }
+
+  const ne = a.length * b.length / (a.length + b.length);
+  return { d, pValue: kolmogorovPValue(Math.sqrt(ne) * d) };
+}
+
+// ROC of "hit when latency <= threshold" over every observed latency, with
+// the Hanley-McNeil interval for the AUC and the threshold maximizing
+// Youden's J (sensitivity + specificity - 1)
+export function rocCurve(hits, misses, confidence = 0.95) {
+  const sortedHits = [...hits].sort((a, b) => a - b);
+  const sortedMisses = [...misses].sort((a, b) => a - b);
+  const thresholds = [...new Set([...sortedHits, ...sortedMisses])].sort((a, b) => a - b);
+  const points = [{ threshold: -Infinity, tpr: 0, fpr: 0 }];
+  let i = 0;
+  let j = 0;
+  thresholds.forEach(threshold => {
+    while (i < sortedHits.length && sortedHits[i] <= threshold) i++;
+    while (j < sortedMisses.length && sortedMisses[j] <= threshold) j++;
+    points.push({ threshold, tpr: i / hits.length, fpr: j / misses.length });
+  });
+
+  let auc = 0;
+  for (let k = 1; k < points.length; k++) {
+    auc += (points[k].fpr - points[k - 1].fpr) * (points[k].tpr + points[k - 1].tpr) / 2;
+  }
+
+  const best = points.slice(1).reduce((top, point) =>
+    (point.tpr - point.fpr > top.tpr - top.fpr ? point : top), points[0]);
+
+  const q1 = auc / (2 - auc);
+  const q2 = 2 * auc * auc / (1 + auc);
+  const se = Math.sqrt((auc * (1 - auc) + (hits.length - 1) * (q1 - auc * auc) +
+    (misses.length - 1) * (q2 - auc * auc)) / (hits.length * misses.length));
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+
+  return {
+    points,
+    auc,
+    aucCI: { lower: Math.max(0, auc - z * se), upper: Math.min(1, auc + z * se) },
+    threshold: best.threshold,
+    sensitivity: best.tpr,
+    specificity: 1 - best.fpr,
+    accuracy: (best.tpr * hits.length + (1 - best.fpr) * misses.length) / (hits.length + misses.length)
+  };
+}
+
+export class TimingAnalysis {
+  constructor({
+    source = createDataSource(),
+    confidenceLevel = parseFloat(process.env.CONFIDENCE_LEVEL) || 0.95,
+    // Fewer hits or misses than this in a group and it is not tested
+    minSamples = parseInt(process.env.TIMING_MIN_SAMPLES) || 5
+  } = {}) {
+    this.source = source;
+    this.confidenceLevel = confidenceLevel;
+    this.alpha = 1 - confidenceLevel;
+    this.minSamples = minSamples;
+    this.results = [];
+    this.scope = null;
+  }
+
+  async loadExperimentData(filters = {}) {
+    const { rows, scope } = await this.source.load(filters);
+    this.results = rows;
+    this.scope = scope;
+    return this.results;
+  }
+
+  async close() {
+    await this.source.close();
+  }
+
+  // All trials, each CDN and each CDN configuration
+  groups() {
+    const groups = new Map([['all', this.results]]);
+    this.results.forEach(trial => {
+      [trial.cdn_vendor, `${trial.cdn_vendor}:${trial.cdn_config}`].forEach(key => {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(trial);
+      });
+    });
+    return groups;
+  }
+
+  // Latencies of one metric split by the cache status the CDN reported
+  splitByCacheStatus(trials, metric) {
+    const hits = [];
+    const misses = [];
+    trials.forEach(trial => {
+      const value = parseFloat(trial[metric]);
+      if (!Number.isFinite(value)) return;
+      if (trial.cache_hit === 'true') hits.push(value);
+      else if (trial.cache_hit === 'false') misses.push(value);
+    });
+    return { hits, misses };
+  }
+
+  compare(group, metric, trials) {
+    const { hits, misses } = this.splitByCacheStatus(trials, metric);
+    const sortedHits = [...hits].sort((a, b) => a - b);
+    const sortedMisses = [...misses].sort((a, b) => a - b);
+    const result = {
+      group,
+      metric,
+      hits: hits.length,
+      misses: misses.length,
+      medianHit: median(sortedHits),
+      medianMiss: median(sortedMisses),
+      tested: hits.length >= this.minSamples && misses.length >= this.minSamples
+    };
+
+    if (!result.tested) {
+      result.reason = `needs ${this.minSamples} hits and misses with timings`;
+      return result;
+    }
+
+    return {
+      ...result,
+      mannWhitney: mannWhitneyU(hits, misses),
+      ks: kolmogorovSmirnov(hits, misses),
+      roc: rocCurve(hits, misses, this.confidenceLevel)
+    };
+  }
+
+  // Holm-adjusted across groups, separately for each metric
+  analyze() {
+    const comparisons = [];
+    TIMING_METRICS.forEach(metric => {
+      const rows = [...this.groups()].map(([group, trials]) => this.compare(group, metric, trials));
+      const mwAdjusted = holmAdjust(rows.map(row => (row.tested ? row.mannWhitney.pValue : null)));
+      const ksAdjusted = holmAdjust(rows.map(row => (row.tested ? row.ks.pValue : null)));
+
+      rows.forEach((row, i) => {
+        if (row.tested) {
+          row.mannWhitney.pAdjusted = mwAdjusted[i];
+          row.ks.pAdjusted = ksAdjusted[i];
+          row.distinguishable = mwAdjusted[i] < this.alpha || ksAdjusted[i] < this.alpha;
+        }
+        comparisons.push(row);
+      });
+    });
+    return comparisons;
+  }
+
+  report(comparisons) {
+    const fmt = (value, digits = 1) => (value === null || value === undefined ? 'n/a' : value.toFixed(digits));
+
+    console.log('\n=== TIMING SIDE-CHANNEL ANALYSIS ===');
+    console.log(`Scope: ${this.scope}`);
+    console.log(`Trials: ${this.results.length}, confidence ${this.confidenceLevel * 100}%, Holm-adjusted across groups\n`);
+
+    TIMING_METRICS.forEach(metric => {
+      console.log(`--- ${metric} ---`);
+      comparisons.filter(row => row.metric === metric).forEach(row => {
+        const counts = `${row.hits} hits / ${row.misses} misses`;
+        if (!row.tested) {
+          console.log(`${row.group}: ${counts} - not tested (${row.reason})`);
+          return;
+        }
+        const { mannWhitney, ks, roc } = row;
+        console.log(`${row.group}: ${counts}, median ${fmt(row.medianHit)} vs ${fmt(row.medianMiss)} ms`);
+        console.log(`  Mann-Whitney p=${mannWhitney.pAdjusted.toExponential(2)}, KS D=${fmt(ks.d, 3)} p=${ks.pAdjusted.toExponential(2)}`);
+        console.log(`  ROC AUC ${fmt(roc.auc, 3)} [${fmt(roc.aucCI.lower, 3)}, ${fmt(roc.aucCI.upper, 3)}], ` +
+          `hit if <= ${fmt(roc.threshold)} ms: sensitivity ${fmt(roc.sensitivity * 100)}%, ` +
+          `specificity ${fmt(roc.specificity * 100)}%${row.distinguishable ? ' - DISTINGUISHABLE' : ''}`);
+      });
+      console.log('');
+    });
+  }
+
+  exportToCSV(comparisons, { path = './analysis/timing-analysis.csv', rocPath = './analysis/timing-roc.csv' } = {}) {
+    writeCSV(path, [
+      { id: 'group', title: 'Group' },
+      { id: 'metric', title: 'Metric' },
+      { id: 'hits', title: 'Hits' },
+      { id: 'misses', title: 'Misses' },
+      { id: 'medianHit', title: 'Median_Hit_ms' },
+      { id: 'medianMiss', title: 'Median_Miss_ms' },
+      { id: 'mwU', title: 'Mann_Whitney_U' },
+      { id: 'mwP', title: 'Mann_Whitney_P' },
+      { id: 'mwPHolm', title: 'Mann_Whitney_P_Holm' },
+      { id: 'ksD', title: 'KS_D' },
+      { id: 'ksP', title: 'KS_P' },
+      { id: 'ksPHolm', title: 'KS_P_Holm' },
+      { id: 'auc', title: 'ROC_AUC' },
+      { id: 'aucLower', title: 'AUC_CI_Lower' },
+      { id: 'aucUpper', title: 'AUC_CI_Upper' },
+      { id: 'threshold', title: 'Threshold_ms' },
+      { id: 'sensitivity', title: 'Sensitivity' },
+      { id: 'specificity', title: 'Specificity' },
+      { id: 'distinguishable', title: 'Distinguishable' }
+    ], comparisons.map(row => ({
+      group: row.group,
+      metric: row.metric,
+      hits: row.hits,
+      misses: row.misses,
+      medianHit: row.medianHit?.toFixed(2),
+      medianMiss: row.medianMiss?.toFixed(2),
+      ...(row.tested && {
+        mwU: row.mannWhitney.u,
+        mwP: row.mannWhitney.pValue.toExponential(4),
+        mwPHolm: row.mannWhitney.pAdjusted.toExponential(4),
+        ksD: row.ks.d.toFixed(4),
+        ksP: row.ks.pValue.toExponential(4),
+        ksPHolm: row.ks.pAdjusted.toExponential(4),
+        auc: row.roc.auc.toFixed(4),
+        aucLower: row.roc.aucCI.lower.toFixed(4),
+        aucUpper: row.roc.aucCI.upper.toFixed(4),
+        threshold: row.roc.threshold.toFixed(2),
+        sensitivity: row.roc.sensitivity.toFixed(4),
+        specificity: row.roc.specificity.toFixed(4),
+        distinguishable: row.distinguishable
+      })
+    })));
+
+    writeCSV(rocPath, [
+      { id: 'group', title: 'Group' },
+      { id: 'metric', title: 'Metric' },
+      { id: 'threshold', title: 'Threshold_ms' },
+      { id: 'tpr', title: 'TPR' },
+      { id: 'fpr', title: 'FPR' }
+    ], comparisons.filter(row => row.tested).flatMap(row => row.roc.points.slice(1).map(point => ({
+      group: row.group,
+      metric: row.metric,
+      threshold: point.threshold.toFixed(2),
+      tpr: point.tpr.toFixed(4),
+      fpr: point.fpr.toFixed(4)
+    }))));
+
+    console.log(`Exported timing comparisons to ${path.replace(/^\.\//, '')} and ROC curves to ${rocPath.replace(/^\.\//, '')}`);
+  }
+}
+
+// Main execution
+async function main() {
+  // Same --source and scope options as npm run analyze
+  const argv = process.argv.slice(2);
+  const postgres = !argv.includes('--source') || argv[argv.indexOf('--source') + 1] === 'postgres';
+  let scopeArgs;
+  try {
+    scopeArgs = parseScopeArgs(argv, { defaultDays: postgres ? 30 : null, extraOptions: ['--source'] });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  const { filters, options } = scopeArgs;
+  const analysis = new TimingAnalysis({ source: createDataSource(options.source || 'postgres') });
+
+  try {
+    await analysis.loadExperimentData(filters);
+    const comparisons = analysis.analyze();
+    analysis.report(comparisons);
+    analysis.exportToCSV(comparisons);
+  } catch (error) {
+    console.error('Timing analysis failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await analysis.close();
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default TimingAnalysis;
@@ -1,9 +1,82 @@
 import { Pool } from 'pg';
+import { canonicalStrategyName } from '../origin/strategies.js';
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL
 });
 
+// Trial filters shared by getTrialDetails() and the analysis data sources.
+// Column filters take one value or a list of values.
+export const TRIAL_FILTER_COLUMNS = {
+  cdn_vendor: 'cdn_vendor',
+  attack_type: 'attack_type',
+  strategy: 'origin_header_strategy',
+  browser: 'browser',
+  campaign_id: 'campaign_id'
+};
+
+// Trials store strategies under their canonical names, so filters on a
+// composition match however its fragments were ordered
+const CANONICAL_FILTER_VALUES = { strategy: canonicalStrategyName };
+
+const filterValue = (filters, key) => {
+  const value = filters[key];
+  const canonical = CANONICAL_FILTER_VALUES[key];
+  if (!canonical || value === undefined || value === null || value === '') return value;
+  return Array.isArray(value) ? value.map(canonical) : canonical(value);
+};
+
+export function buildTrialFilter(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  Object.entries(TRIAL_FILTER_COLUMNS).forEach(([key, column]) => {
+    const value = filterValue(filters, key);
+    if (value === undefined || value === null || value === '') return;
+    params.push(value);
+    conditions.push(Array.isArray(value)
+      ? `${column} = ANY($${params.length}::text[])`
+      : `${column} = $${params.length}`);
+  });
+
+  // Rolling window: the last N days
+  if (filters.days) {
+    params.push(filters.days);
+    conditions.push(`timestamp > NOW() - make_interval(days => $${params.length})`);
+  }
+
+  if (filters.start_date) {
+    params.push(filters.start_date);
+    conditions.push(`timestamp >= $${params.length}`);
+  }
+
+  if (filters.end_date) {
+    params.push(filters.end_date);
+    conditions.push(`timestamp <= $${params.length}`);
+  }
+
+  return {
+    where: `WHERE 1=1${conditions.map(condition => ` AND ${condition}`).join('')}`,
+    params
+  };
+}
+
+// Same filters applied to rows already in memory (exported datasets)
+export function matchesTrialFilter(row, filters = {}) {
+  const columnsMatch = Object.entries(TRIAL_FILTER_COLUMNS).every(([key, column]) => {
+    const value = filterValue(filters, key);
+    if (value === undefined || value === null || value === '') return true;
+    return Array.isArray(value) ? value.includes(row[column]) : row[column] === value;
+  });
+  if (!columnsMatch) return false;
+
+  const timestamp = row.timestamp ? new Date(row.timestamp) : null;
+  if (filters.days && !(timestamp && timestamp > new Date(Date.now() - filters.days * 24 * 60 * 60 * 1000))) return false;
+  if (filters.start_date && !(timestamp && timestamp >= new Date(filters.start_date))) return false;
+  if (filters.end_date && !(timestamp && timestamp <= new Date(filters.end_date))) return false;
+  return true;
+}
+
 export class DatabaseQueries {
   static async getSuccessRates(timeframe = '30 days') {
     const query = `
@@ -26,7 +99,8 @@ export class DatabaseQueries {
 
   // detailed trial data for analysis
   static async getTrialDetails(filters = {}) {
-    let query = `
+    const { where, params } = buildTrialFilter(filters);
+    const query = `
       SELECT 
         trial_id,
         timestamp,
@@ -38,43 +112,9 @@ export class DatabaseQueries {
         attack_outcome,
         execution_time_ms
       FROM experiments
-      WHERE 1=1
+      ${where}
+      ORDER BY timestamp DESC LIMIT 1000
     `;
-    
-    const params = [];
-    let paramCount = 0;
-
-    if (filters.cdn_vendor) {
-      paramCount++;
-      query += ` AND cdn_vendor = $${paramCount}`;
-      params.push(filters.cdn_vendor);
-    }
-
-    if (filters.attack_type) {
-      paramCount++;
-      query += ` AND attack_type = $${paramCount}`;
-      params.push(filters.attack_type);
-    }
-
-    if (filters.strategy) {
-      paramCount++;
-      query += ` AND origin_header_strategy = $${paramCount}`;
-      params.push(filters.strategy);
-    }
-
-    if (filters.start_date) {
-      paramCount++;
-      query += ` AND timestamp >= $${paramCount}`;
-      params.push(filters.start_date);
-    }
-
-    if (filters.end_date) {
-      paramCount++;
-      query += ` AND timestamp <= $${paramCount}`;
-      params.push(filters.end_date);
-    }
-
-    query += ` ORDER BY timestamp DESC LIMIT 1000`;
 
     const result = await pool.query(query, params);
     return result.rows;
@@ -8,8 +8,10 @@ CREATE TABLE IF NOT EXISTS experiments (
     cdn_config VARCHAR(100) NOT NULL,
     browser VARCHAR(50) NOT NULL CHECK (browser IN ('chromium', 'firefox', 'webkit')),
     browser_version VARCHAR(20),
-    attack_type VARCHAR(100) NOT NULL CHECK (attack_type IN ('t1-path-sculpting', 't2-header-manipulation', 't4-scope-misconfig')),
-    origin_header_strategy VARCHAR(50) NOT NULL CHECK (origin_header_strategy IN ('proper', 'misconfigured', 'missing', 'conflicting')),
+    attack_type VARCHAR(100) NOT NULL CHECK (attack_type IN ('t1-path-sculpting', 't2-header-manipulation', 't3-delimiter-confusion', 't4-scope-misconfig')),
+    -- Canonical name from parseStrategy() in origin/strategies.js: a STRATEGY_CATALOG
+    -- preset or HEADER_FRAGMENTS names joined with '+'
+    origin_header_strategy VARCHAR(200) NOT NULL CHECK (origin_header_strategy ~ '^[a-z][a-zA-Z0-9-]*(\+[a-z][a-zA-Z0-9]*)*$'),
     
     -- Request/response data
     victim_request JSONB NOT NULL,
@@ -22,6 +24,15 @@ CREATE TABLE IF NOT EXISTS experiments (
     
     -- Performance metrics
     execution_time_ms INTEGER NOT NULL,
+    -- Per-phase latencies from Navigation Timing (TestUtils.summarizePhaseTimings)
+    phase_timings JSONB,
+    
+    -- Randomized run order (tests/matrix.js): block = repetition, sequence = position in run
+    block_number INTEGER,
+    sequence_number INTEGER,
+    
+    -- Campaign the trial belongs to (NULL for ad-hoc Playwright runs)
+    campaign_id VARCHAR(100),
     
     -- Additional metadata
     notes TEXT,
@@ -34,12 +45,92 @@ CREATE TABLE IF NOT EXISTS experiments (
     )
 );
 
+-- Keep the attack_type constraint current on databases created before T3
+ALTER TABLE experiments DROP CONSTRAINT IF EXISTS experiments_attack_type_check;
+ALTER TABLE experiments ADD CONSTRAINT experiments_attack_type_check
+    CHECK (attack_type IN ('t1-path-sculpting', 't2-header-manipulation', 't3-delimiter-confusion', 't4-scope-misconfig'));
+
+-- Strategies are composable, so names are checked by shape rather than listed.
+-- Widening the column needs the view over it dropped; it is recreated below.
+DROP VIEW IF EXISTS attack_success_rates;
+ALTER TABLE experiments ALTER COLUMN origin_header_strategy TYPE VARCHAR(200);
+ALTER TABLE experiments DROP CONSTRAINT IF EXISTS experiments_origin_header_strategy_check;
+ALTER TABLE experiments ADD CONSTRAINT experiments_origin_header_strategy_check
+    CHECK (origin_header_strategy ~ '^[a-z][a-zA-Z0-9-]*(\+[a-z][a-zA-Z0-9]*)*$');
+
+ALTER TABLE experiments ADD COLUMN IF NOT EXISTS block_number INTEGER;
+ALTER TABLE experiments ADD COLUMN IF NOT EXISTS sequence_number INTEGER;
+ALTER TABLE experiments ADD COLUMN IF NOT EXISTS campaign_id VARCHAR(100);
+ALTER TABLE experiments ADD COLUMN IF NOT EXISTS phase_timings JSONB;
+
+-- Campaigns: one planned run of the matrix (scripts/run-campaign.js)
+CREATE TABLE IF NOT EXISTS campaigns (
+    campaign_id VARCHAR(100) PRIMARY KEY,
+    name VARCHAR(200),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    status VARCHAR(20) NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'running', 'paused', 'completed')),
+    
+    -- Everything needed to rebuild the identical matrix on resume
+    matrix_seed VARCHAR(50) NOT NULL,
+    trials_per_cell INTEGER NOT NULL,
+    matrix_filter TEXT,
+    total_trials INTEGER NOT NULL,
+    plan JSONB NOT NULL,
+    
+    -- Sequential stopping rule (analysis/sequential-test.js), NULL for fixed-N runs
+    sequential_test JSONB
+);
+
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS sequential_test JSONB;
+
+-- One row per planned trial (cell x repetition), in run order
+CREATE TABLE IF NOT EXISTS campaign_cells (
+    campaign_id VARCHAR(100) NOT NULL REFERENCES campaigns(campaign_id) ON DELETE CASCADE,
+    sequence_number INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    cell_id VARCHAR(200) NOT NULL,
+    cdn_vendor VARCHAR(50) NOT NULL,
+    cdn_config VARCHAR(100) NOT NULL,
+    browser VARCHAR(50) NOT NULL,
+    attack_type VARCHAR(100) NOT NULL,
+    origin_header_strategy VARCHAR(200) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'skipped', 'stopped')),
+    trial_id VARCHAR(100) REFERENCES experiments(trial_id) ON DELETE SET NULL,
+    status_reason TEXT,
+    completed_at TIMESTAMPTZ,
+    PRIMARY KEY (campaign_id, sequence_number)
+);
+
+ALTER TABLE campaign_cells ALTER COLUMN origin_header_strategy TYPE VARCHAR(200);
+
+-- 'stopped': not run because sequential stopping settled the cell
+ALTER TABLE campaign_cells DROP CONSTRAINT IF EXISTS campaign_cells_status_check;
+ALTER TABLE campaign_cells ADD CONSTRAINT campaign_cells_status_check
+    CHECK (status IN ('pending', 'completed', 'skipped', 'stopped'));
+
+-- Every sequential evaluation of a cell, for auditing stopping decisions
+CREATE TABLE IF NOT EXISTS campaign_stopping_decisions (
+    decision_id SERIAL PRIMARY KEY,
+    campaign_id VARCHAR(100) NOT NULL REFERENCES campaigns(campaign_id) ON DELETE CASCADE,
+    cell_id VARCHAR(200) NOT NULL,
+    decided_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    block_number INTEGER,
+    trials INTEGER NOT NULL,
+    successes INTEGER NOT NULL,
+    method VARCHAR(20) NOT NULL,
+    decision VARCHAR(20) NOT NULL CHECK (decision IN ('continue', 'stop-failure', 'stop-success', 'stop-limit')),
+    statistic DOUBLE PRECISION,
+    details JSONB
+);
+
 -- Origin logs for auditing
 CREATE TABLE IF NOT EXISTS origin_logs (
     log_id SERIAL PRIMARY KEY,
     timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     path VARCHAR(255) NOT NULL,
-    strategy VARCHAR(50),
+    strategy VARCHAR(200),
     marker VARCHAR(100),
     user_id VARCHAR(100),
     response_status INTEGER,
@@ -48,6 +139,23 @@ CREATE TABLE IF NOT EXISTS origin_logs (
     ip_address INET
 );
 
+ALTER TABLE origin_logs ALTER COLUMN strategy TYPE VARCHAR(200);
+
+-- Service Worker telemetry (what the registered worker actually did)
+CREATE TABLE IF NOT EXISTS sw_events (
+    event_id SERIAL PRIMARY KEY,
+    received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    event_timestamp TIMESTAMPTZ,
+    trial_id VARCHAR(100),
+    attack_type VARCHAR(100),
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('install', 'activate', 'intercept', 'response', 'fallback', 'unregister')),
+    original_url TEXT,
+    rewritten_url TEXT,
+    response_status INTEGER,
+    error TEXT,
+    details JSONB
+);
+
 -- Performance metrics
 CREATE TABLE IF NOT EXISTS performance_metrics (
     metric_id SERIAL PRIMARY KEY,
@@ -66,30 +174,73 @@ CREATE INDEX IF NOT EXISTS idx_experiments_attack_type ON experiments(attack_typ
 CREATE INDEX IF NOT EXISTS idx_experiments_strategy ON experiments(origin_header_strategy);
 CREATE INDEX IF NOT EXISTS idx_experiments_success ON experiments((attack_outcome->>'success'));
 CREATE INDEX IF NOT EXISTS idx_experiments_cdn_attack ON experiments(cdn_vendor, attack_type);
+CREATE INDEX IF NOT EXISTS idx_experiments_campaign ON experiments(campaign_id);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_cells_status ON campaign_cells(campaign_id, status);
+CREATE INDEX IF NOT EXISTS idx_stopping_decisions_cell ON campaign_stopping_decisions(campaign_id, cell_id);
 
 CREATE INDEX IF NOT EXISTS idx_origin_logs_timestamp ON origin_logs(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_origin_logs_path ON origin_logs(path);
 CREATE INDEX IF NOT EXISTS idx_origin_logs_marker ON origin_logs(marker);
 
+CREATE INDEX IF NOT EXISTS idx_sw_events_trial ON sw_events(trial_id, event_timestamp);
+
 CREATE INDEX IF NOT EXISTS idx_performance_timestamp ON performance_metrics(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_performance_type ON performance_metrics(metric_type);
 
 -- Views for common queries
+-- Wilson score interval bound in percent (z = 1.96 for 95%); direction -1 = lower, 1 = upper.
+-- Clopper-Pearson needs beta quantiles and is computed by analysis/statistical-engine.js
+CREATE OR REPLACE FUNCTION wilson_bound_pct(successes BIGINT, total BIGINT, direction INTEGER, z DOUBLE PRECISION DEFAULT 1.96)
+RETURNS NUMERIC AS $$
+    SELECT CASE WHEN total = 0 THEN NULL ELSE ROUND((100.0 * (
+        (successes::double precision / total + z * z / (2 * total))
+        + direction * z * sqrt((successes::double precision / total) * (1 - successes::double precision / total) / total + z * z / (4.0 * total * total))
+    ) / (1 + z * z / total))::numeric, 2) END;
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- New columns are appended so CREATE OR REPLACE works on existing databases
 CREATE OR REPLACE VIEW attack_success_rates AS
+WITH cells AS (
+    SELECT 
+        cdn_vendor,
+        cdn_config,
+        browser,
+        attack_type,
+        origin_header_strategy,
+        COUNT(*) as total_trials,
+        SUM(CASE WHEN (attack_outcome->>'success')::boolean THEN 1 ELSE 0 END) as successes,
+        SUM(CASE WHEN (attack_outcome->>'cache_hit')::boolean THEN 1 ELSE 0 END) as cache_hits,
+        SUM(CASE WHEN (attack_outcome->>'victim_data_retrieved')::boolean THEN 1 ELSE 0 END) as data_retrievals,
+        AVG(execution_time_ms) as avg_execution_time_ms,
+        MIN(timestamp) as first_trial,
+        MAX(timestamp) as last_trial
+    FROM experiments
+    GROUP BY cdn_vendor, cdn_config, browser, attack_type, origin_header_strategy
+)
 SELECT 
     cdn_vendor,
     cdn_config,
     browser,
     attack_type,
     origin_header_strategy,
-    COUNT(*) as total_trials,
-    SUM(CASE WHEN (attack_outcome->>'success')::boolean THEN 1 ELSE 0 END) as successes,
-    ROUND(100.0 * SUM(CASE WHEN (attack_outcome->>'success')::boolean THEN 1 ELSE 0 END) / COUNT(*), 2) as success_rate_pct,
-    AVG(execution_time_ms) as avg_execution_time_ms,
-    MIN(timestamp) as first_trial,
-    MAX(timestamp) as last_trial
-FROM experiments
-GROUP BY cdn_vendor, cdn_config, browser, attack_type, origin_header_strategy;
+    total_trials,
+    successes,
+    ROUND(100.0 * successes / total_trials, 2) as success_rate_pct,
+    avg_execution_time_ms,
+    first_trial,
+    last_trial,
+    wilson_bound_pct(successes, total_trials, -1) as success_rate_wilson_lower_pct,
+    wilson_bound_pct(successes, total_trials, 1) as success_rate_wilson_upper_pct,
+    cache_hits,
+    ROUND(100.0 * cache_hits / total_trials, 2) as cache_hit_rate_pct,
+    wilson_bound_pct(cache_hits, total_trials, -1) as cache_hit_rate_wilson_lower_pct,
+    wilson_bound_pct(cache_hits, total_trials, 1) as cache_hit_rate_wilson_upper_pct,
+    data_retrievals,
+    ROUND(100.0 * data_retrievals / total_trials, 2) as data_retrieval_rate_pct,
+    wilson_bound_pct(data_retrievals, total_trials, -1) as data_retrieval_rate_wilson_lower_pct,
+    wilson_bound_pct(data_retrievals, total_trials, 1) as data_retrieval_rate_wilson_upper_pct
+FROM cells;
 
 CREATE OR REPLACE VIEW cdn_comparison AS
 SELECT 
@@ -114,6 +265,10 @@ BEGIN
     DELETE FROM origin_logs
     WHERE timestamp < NOW() - INTERVAL '30 days';
     
+    -- Delete SW telemetry older than 30 days
+    DELETE FROM sw_events
+    WHERE received_at < NOW() - INTERVAL '30 days';
+    
     -- Delete performance metrics older than 30 days
     DELETE FROM performance_metrics
     WHERE timestamp < NOW() - INTERVAL '30 days';
@@ -138,4 +293,8 @@ GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA public TO swwcd;
 
 COMMENT ON TABLE experiments IS 'SW-WCD research experiment results';
 COMMENT ON TABLE origin_logs IS 'Origin server request logs for auditing';
+COMMENT ON TABLE campaigns IS 'Planned, resumable runs of the experiment matrix';
+COMMENT ON TABLE campaign_cells IS 'Planned trials of each campaign and their completion state';
+COMMENT ON TABLE campaign_stopping_decisions IS 'Sequential stopping evaluations of campaign cells and their outcome';
+COMMENT ON TABLE sw_events IS 'Structured events posted by Service Worker payloads';
 COMMENT ON TABLE performance_metrics IS 'System performance and monitoring metrics';
\ No newline at end of file
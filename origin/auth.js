@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+
+// In-memory users and sessions for the origin. Every test user has distinct
+// sensitive data (and a canary string that appears nowhere else), so a cached
+// page can be traced to the user it was rendered for: victim A's data served
+// to B is cross-user leakage, not just "someone saw a marker".
+
+export const SESSION_COOKIE_NAME = 'session';
+export const CSRF_HEADER = 'x-csrf-token';
+
+const DEFAULT_USERS = ['alice', 'bob', 'carol', 'dave'];
+const DEFAULT_PASSWORD = 'sw-wcd-research';
+const DEFAULT_SESSION_TTL_SECONDS = 3600;
+
+const randomToken = (bytes) => crypto.randomBytes(bytes).toString('base64url');
+const randomDigits = (length) => Array.from({ length }, () => crypto.randomInt(10)).join('');
+
+const hashPassword = (password, salt) => crypto.scryptSync(password, salt, 32);
+
+// Constant-time comparison of two strings
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+export class UserStore {
+  // usernames: TEST_USERS (comma-separated), password: TEST_USER_PASSWORD
+  constructor({ usernames = DEFAULT_USERS, password = DEFAULT_PASSWORD } = {}) {
+    this.users = new Map();
+    usernames.forEach(username => this.add(username, password));
+  }
+
+  add(username, password) {
+    if (!/^[a-z0-9_-]+$/i.test(username)) {
+      throw new Error(`Invalid username: ${username}`);
+    }
+    const salt = crypto.randomBytes(16);
+    const displayName = username.charAt(0).toUpperCase() + username.slice(1);
+
+    this.users.set(username, {
+      id: username,
+      displayName,
+      salt,
+      passwordHash: hashPassword(password, salt),
+      // Generated per origin start, so no two users (or runs) share a value
+      sensitive: {
+        email: `${username}@test.example.com`,
+        accountNumber: `ACCT-${randomDigits(10)}`,
+        apiKey: `sk_test_${randomToken(18)}`,
+        canary: `canary-${username}-${crypto.randomBytes(8).toString('hex')}`
+      }
+    });
+  }
+
+  get(id) {
+    return this.users.get(id) || null;
+  }
+
+  // The user for valid credentials, else null
+  verify(username, password) {
+    const user = this.get(username);
+    // Hash anyway so unknown users take as long as wrong passwords
+    const hash = hashPassword(String(password ?? ''), user?.salt || Buffer.alloc(16));
+    return user && crypto.timingSafeEqual(hash, user.passwordHash) ? user : null;
+  }
+
+  list() {
+    return [...this.users.keys()];
+  }
+}
+
+// Server-side sessions behind HMAC-signed tokens: "<payload>.<signature>",
+// base64url JSON { sid, sub, exp }. The signature stops forged or edited
+// tokens; the session table makes logout revoke a token before it expires.
+export class SessionManager {
+  constructor({ secret = null, ttlSeconds = DEFAULT_SESSION_TTL_SECONDS } = {}) {
+    if (!secret) {
+      console.warn('[AUTH] SESSION_SECRET not set; using a random secret (sessions end on restart)');
+    }
+    this.secret = secret || randomToken(32);
+    this.ttlSeconds = ttlSeconds;
+    this.sessions = new Map();
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  create(user) {
+    const sid = randomToken(18);
+    const expiresAt = Date.now() + this.ttlSeconds * 1000;
+    const session = { sid, userId: user.id, csrfToken: randomToken(24), expiresAt };
+    this.sessions.set(sid, session);
+
+    const payload = Buffer.from(JSON.stringify({ sid, sub: user.id, exp: Math.floor(expiresAt / 1000) })).toString('base64url');
+    return { session, token: `${payload}.${this.sign(payload)}` };
+  }
+
+  // The live session a token belongs to, or null if it is forged, expired or revoked
+  verify(token) {
+    const [payload, signature, ...rest] = String(token || '').split('.');
+    if (!payload || !signature || rest.length > 0 || !safeEqual(signature, this.sign(payload))) {
+      return null;
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+
+    const session = this.sessions.get(claims.sid);
+    if (!session || session.userId !== claims.sub || session.expiresAt <= Date.now()) {
+      if (session) this.sessions.delete(claims.sid);
+      return null;
+    }
+    return session;
+  }
+
+  destroy(sid) {
+    return this.sessions.delete(sid);
+  }
+
+  cookie(token) {
+    return `${SESSION_COOKIE_NAME}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${this.ttlSeconds}`;
+  }
+
+  clearCookie() {
+    return `${SESSION_COOKIE_NAME}=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0`;
+  }
+}
+
+const readSessionCookie = (req) => {
+  const match = req.headers.cookie?.match(new RegExp(`(?:^|;\\s*)${SESSION_COOKIE_NAME}=([^;]+)`));
+  return match ? match[1] : null;
+};
+
+// Sets req.user (public identity, safe to render) and req.session (token and
+// CSRF token of a live session, or null). Anything unverifiable is anonymous.
+export function createAuthMiddleware({ users, sessions }) {
+  return (req, res, next) => {
+    const token = readSessionCookie(req);
+    const session = token ? sessions.verify(token) : null;
+    const user = session ? users.get(session.userId) : null;
+
+    if (user) {
+      req.user = { id: user.id, displayName: user.displayName, isAuthenticated: true };
+      req.session = { ...session, token };
+      req.account = user.sensitive;
+    } else {
+      req.user = { id: 'anonymous', displayName: null, isAuthenticated: false };
+      req.session = null;
+      req.account = null;
+    }
+
+    next();
+  };
+}
+
+// State-changing routes: the session's CSRF token in X-CSRF-Token or a _csrf field
+export const requireCsrf = (req, res, next) => {
+  const supplied = req.get(CSRF_HEADER) || req.body?._csrf;
+  if (!req.session || !supplied || !safeEqual(supplied, req.session.csrfToken)) {
+    return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+  }
+  next();
+};
+
+// Users, sessions and middleware configured from the environment
+export function createAuth(env = process.env) {
+  const users = new UserStore({
+    usernames: env.TEST_USERS ? env.TEST_USERS.split(',').map(name => name.trim()).filter(Boolean) : DEFAULT_USERS,
+    password: env.TEST_USER_PASSWORD || DEFAULT_PASSWORD
+  });
+  const sessions = new SessionManager({
+    secret: env.SESSION_SECRET || null,
+    ttlSeconds: parseInt(env.SESSION_TTL_SECONDS) || DEFAULT_SESSION_TTL_SECONDS
+  });
+  return { users, sessions, authenticate: createAuthMiddleware({ users, sessions }) };
+}
@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+
+// Local emulation profiles for the CDN simulator. Each vendor/config pair
+// mirrors the vendor's documented default caching rules closely enough to
+// run the attack matrix offline; they are stand-ins, not reimplementations.
+// Settings that depend on .env are resolved by envOverrides at startup.
+
+const NGINX_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'css', 'js', 'avif', 'webp'];
+
+// https://developers.cloudflare.com/cache/concepts/default-cache-behavior/
+const CLOUDFLARE_EXTENSIONS = [
+  '7z', 'csv', 'gif', 'midi', 'png', 'tif', 'zip', 'avi', 'doc', 'gz', 'mkv', 'ppt',
+  'tiff', 'zst', 'avif', 'docx', 'ico', 'mp3', 'pptx', 'ttf', 'apk', 'dmg', 'iso',
+  'mp4', 'ps', 'webm', 'bin', 'ejs', 'jar', 'ogg', 'rar', 'webp', 'bmp', 'eot', 'jpg',
+  'otf', 'svg', 'woff', 'bz2', 'eps', 'jpeg', 'pdf', 'svgz', 'woff2', 'class', 'exe',
+  'js', 'pict', 'swf', 'xls', 'css', 'flac', 'mid', 'pls', 'tar', 'xlsx'
+];
+
+const randomId = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+const NGINX_LOCAL = {
+  name: 'nginx-local',
+  vendor: 'local',
+  port: 8443,
+  // location ~ \.(jpg|jpeg|png|gif|css|js|avif|webp)$
+  cacheableExtensions: NGINX_EXTENSIONS,
+  cacheByDefault: true,
+  // proxy_cache_valid 200 302 10m; proxy_cache_valid 404 1m;
+  defaultTTL: { 200: 600, 302: 600, 404: 60 },
+  // proxy_cache_valid 200 302 30m; (extension location)
+  extensionTTL: { 200: 1800, 302: 1800 },
+  minTTL: 0,
+  honorSurrogateControl: false,
+  honorSMaxAge: false,
+  // CDN-Cache-Control-style fields, highest precedence first (RFC 9213)
+  targetedCacheControl: [],
+  // Responses with Vary are stored per request header value
+  honorVary: true,
+  // No proxy_cache_use_stale updating / proxy_cache_revalidate in the conf
+  honorStaleWhileRevalidate: false,
+  revalidate: false,
+  ignoreNoCacheDirectives: false,
+  setCookie: 'pass',
+  noStoreStatus: 'MISS',
+  // Content-Type check on the extension location
+  cacheDeceptionArmor: true,
+  armorContentTypes: /^(image\/|text\/css|application\/javascript)/i,
+  // proxy_cache_key "$scheme$request_method$host$uri"
+  queryStringInKey: false,
+  // location = /health { proxy_cache off; }
+  uncachedPaths: ['/health'],
+  statusHeaders: (status) => (status ? { 'x-cache-status': status } : {})
+};
+
+const CLOUDFLARE_DEFAULT = {
+  name: 'cloudflare-emulated',
+  vendor: 'cloudflare',
+  port: 8444,
+  // Only the default static extension list is eligible; HTML is DYNAMIC
+  cacheableExtensions: CLOUDFLARE_EXTENSIONS,
+  cacheByDefault: false,
+  defaultTTL: { 200: 7200, 206: 7200, 301: 7200, 302: 1200, 404: 180 },
+  extensionTTL: { 200: 7200, 206: 7200, 301: 7200, 302: 1200, 404: 180 },
+  minTTL: 0,
+  // Cloudflare ignores Surrogate-Control (it uses CDN-Cache-Control instead)
+  honorSurrogateControl: false,
+  honorSMaxAge: true,
+  targetedCacheControl: ['cloudflare-cdn-cache-control', 'cdn-cache-control'],
+  // Vary is ignored (except Accept for images)
+  honorVary: false,
+  honorStaleWhileRevalidate: true,
+  revalidate: true,
+  ignoreNoCacheDirectives: false,
+  setCookie: 'pass',
+  noStoreStatus: 'BYPASS',
+  cacheDeceptionArmor: false,
+  armorContentTypes: /^(image\/|text\/css|(application|text)\/javascript|font\/|audio\/|video\/|application\/(pdf|zip|octet-stream))/i,
+  // Standard cache level keys on the full query string
+  queryStringInKey: true,
+  uncachedPaths: ['/health'],
+  envOverrides: (env) => ({ cacheDeceptionArmor: env.CLOUDFLARE_CACHE_ARMOR === 'true' }),
+  statusHeaders: (status, entry) => ({
+    'cf-cache-status': status || 'DYNAMIC',
+    'cf-ray': `${randomId(8)}-LOCAL`,
+    ...(entry ? { age: String(entry.age) } : {})
+  })
+};
+
+const FASTLY_DEFAULT = {
+  name: 'fastly-emulated',
+  vendor: 'fastly',
+  port: 8446,
+  // Fastly caches any cacheable status regardless of extension
+  cacheableExtensions: [],
+  cacheByDefault: true,
+  defaultTTL: { 200: 3600, 203: 3600, 300: 3600, 301: 3600, 302: 3600, 404: 3600, 410: 3600 },
+  extensionTTL: { 200: 3600 },
+  minTTL: 0,
+  // Surrogate-Control takes priority over Cache-Control when enabled
+  honorSurrogateControl: true,
+  honorSMaxAge: true,
+  targetedCacheControl: [],
+  honorVary: true,
+  honorStaleWhileRevalidate: true,
+  revalidate: true,
+  ignoreNoCacheDirectives: false,
+  setCookie: 'pass',
+  noStoreStatus: 'PASS',
+  cacheDeceptionArmor: false,
+  queryStringInKey: true,
+  uncachedPaths: ['/health'],
+  envOverrides: (env) => ({ honorSurrogateControl: env.FASTLY_SURROGATE_CONTROL !== 'false' }),
+  statusHeaders: (status, entry) => ({
+    'x-cache': ['HIT', 'UPDATING'].includes(status) ? 'HIT' : status === 'PASS' ? 'PASS' : 'MISS',
+    'x-cache-hits': String(entry?.hits || 0),
+    'x-served-by': 'cache-local-emulated',
+    ...(entry ? { age: String(entry.age) } : {})
+  })
+};
+
+// CachingOptimized managed policy: query strings and cookies excluded from
+// the key, min TTL 1s, default TTL 1 day
+const CLOUDFRONT_DEFAULT = {
+  name: 'cloudfront-emulated',
+  vendor: 'cloudfront',
+  port: 8448,
+  cacheableExtensions: [],
+  cacheByDefault: true,
+  defaultTTL: { 200: 86400, 203: 86400, 300: 86400, 301: 86400, 404: 10, 410: 86400 },
+  extensionTTL: { 200: 86400 },
+  // A minimum TTL > 0 caches even private/no-store responses for that long
+  minTTL: 1,
+  honorSurrogateControl: false,
+  honorSMaxAge: true,
+  targetedCacheControl: [],
+  // Only Accept-Encoding is honored, and that through the cache policy
+  honorVary: false,
+  honorStaleWhileRevalidate: true,
+  revalidate: true,
+  ignoreNoCacheDirectives: false,
+  // Cookies are not forwarded, so Set-Cookie is dropped from cached copies
+  setCookie: 'strip',
+  noStoreStatus: 'MISS',
+  cacheDeceptionArmor: false,
+  queryStringInKey: false,
+  uncachedPaths: ['/health'],
+  statusHeaders: (status, entry) => ({
+    'x-cache': {
+      HIT: 'Hit from cloudfront',
+      UPDATING: 'Hit from cloudfront',
+      REVALIDATED: 'RefreshHit from cloudfront'
+    }[status] || 'Miss from cloudfront',
+    'x-amz-cf-id': randomId(28),
+    'x-amz-cf-pop': 'LOCAL-EMU',
+    via: '1.1 local-emulated.cloudfront.net (CloudFront)',
+    ...(entry ? { age: String(entry.age) } : {})
+  })
+};
+
+export const CDN_PROFILES = {
+  local: {
+    default: NGINX_LOCAL
+  },
+  cloudflare: {
+    default: CLOUDFLARE_DEFAULT,
+    // "Cache Everything" page rule: HTML becomes eligible too
+    loose: { ...CLOUDFLARE_DEFAULT, name: 'cloudflare-emulated-loose', port: 8445, cacheByDefault: true }
+  },
+  fastly: {
+    default: FASTLY_DEFAULT,
+    // Custom VCL that drops the private/no-store/no-cache pass
+    aggressive: { ...FASTLY_DEFAULT, name: 'fastly-emulated-aggressive', port: 8447, ignoreNoCacheDirectives: true }
+  },
+  cloudfront: {
+    default: CLOUDFRONT_DEFAULT,
+    // Cache policy with a minimum TTL long enough to outlive a trial
+    permissive: { ...CLOUDFRONT_DEFAULT, name: 'cloudfront-emulated-permissive', port: 8449, minTTL: 60 }
+  }
+};
+
+export const getProfile = (vendor, config = 'default') => {
+  return CDN_PROFILES[vendor]?.[config] || CDN_PROFILES[vendor]?.default || CDN_PROFILES.local.default;
+};
+
+export const validateProfile = (vendor, config = 'default') => {
+  if (!CDN_PROFILES[vendor]) {
+    throw new Error(`Invalid CDN profile: ${vendor}. Must be one of: ${Object.keys(CDN_PROFILES).join(', ')}`);
+  }
+  if (!CDN_PROFILES[vendor][config]) {
+    throw new Error(`Invalid ${vendor} config: ${config}. Must be one of: ${Object.keys(CDN_PROFILES[vendor]).join(', ')}`);
+  }
+  return true;
+};
+
+// Every vendor/config pair with the port its stand-in listens on
+export const listEmulationTargets = () => {
+  return Object.entries(CDN_PROFILES).flatMap(([vendor, configs]) =>
+    Object.entries(configs).map(([config, profile]) => ({ vendor, config, port: profile.port, profile }))
+  );
+};
@@ -0,0 +1,402 @@
+import https from 'https';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import dotenv from 'dotenv';
+
+import { generateSSL } from './ssl.js';
+import { getProfile, validateProfile, listEmulationTargets } from './cdn-profiles.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// In-process stand-in for infrastructure/nginx-cdn-simulator.conf so the
+// attack matrix can run without Docker or an /etc/hosts entry. Vendor
+// behaviour comes from the emulation profiles in cdn-profiles.js.
+
+// Headers that must not be forwarded by a proxy (RFC 7230 §6.1)
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+  'te', 'trailer', 'transfer-encoding', 'upgrade'
+];
+
+// How long an expired entry with a validator is kept for conditional
+// revalidation (nginx: proxy_cache_path ... inactive=60m)
+const STALE_RETENTION_MS = 60 * 60 * 1000;
+
+// Equivalent of nginx's $uri: decoded, slash-merged, dot-segment-resolved path
+export function normalizeURI(rawPath) {
+  const path = rawPath.split('?')[0];
+  let decoded;
+  try {
+    decoded = decodeURIComponent(path);
+  } catch (error) {
+    decoded = path;
+  }
+
+  const segments = [];
+  decoded.replace(/\/{2,}/g, '/').split('/').forEach(segment => {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment !== '.') {
+      segments.push(segment);
+    }
+  });
+
+  const normalized = segments.join('/');
+  return normalized.startsWith('/') ? normalized : `/${normalized}`;
+}
+
+// Parse Cache-Control into a { directive: value|true } map
+export function parseCacheControl(value) {
+  const directives = {};
+  if (!value) return directives;
+
+  String(value).split(',').forEach(part => {
+    const [name, ...rest] = part.trim().split('=');
+    if (!name) return;
+    directives[name.toLowerCase()] = rest.length > 0 ? rest.join('=').replace(/"/g, '') : true;
+  });
+
+  return directives;
+}
+
+export class CDNSimulator {
+  constructor({ originURL, profile = getProfile('local'), scheme = 'https' } = {}) {
+    this.originURL = new URL(originURL);
+    this.profile = { ...profile, ...(profile.envOverrides?.(process.env) || {}) };
+    this.scheme = scheme;
+    this.cache = new Map();
+    this.agent = new https.Agent({ keepAlive: true, rejectUnauthorized: false }); // proxy_ssl_verify off
+  }
+
+  // nginx: "$scheme$request_method$host$uri"; vendors may append the query string
+  cacheKey(req) {
+    const host = (req.headers.host || '').split(':')[0].toLowerCase();
+    const query = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+    return `${this.scheme}${req.method}${host}${normalizeURI(req.url)}${this.profile.queryStringInKey ? query : ''}`;
+  }
+
+  matchesCacheableExtension(uri) {
+    const extension = uri.split('/').pop().split('.').slice(1).pop();
+    return !!extension && this.profile.cacheableExtensions.includes(extension.toLowerCase());
+  }
+
+  // Decide whether and for how long an upstream response may be stored,
+  // following the profile's handling of upstream caching headers.
+  evaluateCacheability(uri, upstream) {
+    const profile = this.profile;
+    const extensionMatch = this.matchesCacheableExtension(uri);
+    let headers = upstream.headers;
+
+    if (!extensionMatch && !profile.cacheByDefault) {
+      return { store: false, status: 'DYNAMIC', reason: 'not-eligible', headers };
+    }
+
+    if (extensionMatch && profile.cacheDeceptionArmor &&
+        !profile.armorContentTypes.test(headers['content-type'] || '')) {
+      return { store: false, status: 'BYPASS', reason: 'cache-deception-armor', headers };
+    }
+
+    if (headers['set-cookie']) {
+      if (profile.setCookie !== 'strip') {
+        return { store: false, status: profile.noStoreStatus, reason: 'set-cookie', headers };
+      }
+      headers = { ...headers };
+      delete headers['set-cookie'];
+    }
+
+    if ((headers['vary'] || '').trim() === '*') {
+      return { store: false, status: profile.noStoreStatus, reason: 'vary-star', headers };
+    }
+
+    // A targeted field (CDN-Cache-Control) replaces Cache-Control for this cache
+    const targeted = (profile.targetedCacheControl || []).find(name => headers[name] !== undefined);
+    const cacheControl = parseCacheControl(headers[targeted || 'cache-control']);
+    const surrogateControl = parseCacheControl(headers['surrogate-control']);
+    const forbidsStorage = cacheControl['private'] || cacheControl['no-store'] || cacheControl['no-cache'];
+
+    let ttl;
+    if (profile.honorSurrogateControl && surrogateControl['max-age'] !== undefined) {
+      ttl = parseInt(surrogateControl['max-age'], 10);
+    } else if (forbidsStorage && !profile.ignoreNoCacheDirectives) {
+      if (profile.minTTL <= 0) {
+        return { store: false, status: profile.noStoreStatus, reason: 'cache-control', headers };
+      }
+      ttl = profile.minTTL;
+    } else if (profile.honorSMaxAge && cacheControl['s-maxage'] !== undefined) {
+      ttl = parseInt(cacheControl['s-maxage'], 10);
+    } else if (cacheControl['max-age'] !== undefined) {
+      ttl = parseInt(cacheControl['max-age'], 10);
+    } else if (headers['expires']) {
+      ttl = Math.floor((Date.parse(headers['expires']) - Date.now()) / 1000);
+    } else {
+      const validity = extensionMatch ? profile.extensionTTL : profile.defaultTTL;
+      ttl = validity[upstream.statusCode];
+    }
+
+    if (Number.isFinite(ttl) && profile.minTTL > 0) {
+      ttl = Math.max(ttl, profile.minTTL);
+    }
+
+    const validator = headers['etag'] || headers['last-modified'];
+    const staleWhileRevalidate = profile.honorStaleWhileRevalidate
+      ? parseInt(cacheControl['stale-while-revalidate'], 10) || 0
+      : 0;
+
+    // Already stale, but storable for conditional revalidation
+    if (ttl === 0 && profile.revalidate && validator) {
+      return { store: true, status: 'MISS', ttl: 0, staleWhileRevalidate, reason: 'revalidate', headers };
+    }
+
+    if (!Number.isFinite(ttl) || ttl <= 0) {
+      return { store: false, status: profile.noStoreStatus, reason: 'not-cacheable', headers };
+    }
+
+    return { store: true, status: 'MISS', ttl, staleWhileRevalidate, headers };
+  }
+
+  // HIT while fresh, UPDATING within stale-while-revalidate, STALE when it
+  // must be revalidated first. A Vary mismatch is a MISS.
+  lookup(key, req) {
+    const entry = this.cache.get(key);
+    if (!entry) return { entry: null, status: 'MISS' };
+
+    if (entry.vary.some((name, i) => (req.headers[name] || '') !== entry.varyValues[i])) {
+      return { entry: null, status: 'MISS' };
+    }
+
+    const now = Date.now();
+    if (entry.expiresAt > now) {
+      entry.hits++;
+      return { entry, status: 'HIT' };
+    }
+
+    if (entry.expiresAt + entry.staleWhileRevalidate * 1000 > now) {
+      entry.hits++;
+      return { entry, status: 'UPDATING' };
+    }
+
+    if (this.profile.revalidate && entry.validator && entry.storedAt + STALE_RETENTION_MS > now) {
+      return { entry, status: 'STALE' };
+    }
+
+    this.cache.delete(key);
+    return { entry: null, status: 'EXPIRED' };
+  }
+
+  store(key, req, upstream, decision) {
+    const { etag, 'last-modified': lastModified, vary: varyHeader = '' } = decision.headers;
+    const vary = this.profile.honorVary
+      ? varyHeader.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+      : [];
+
+    this.cache.set(key, {
+      statusCode: upstream.statusCode,
+      headers: decision.headers,
+      body: upstream.body,
+      storedAt: Date.now(),
+      expiresAt: Date.now() + decision.ttl * 1000,
+      staleWhileRevalidate: decision.staleWhileRevalidate,
+      validator: etag || lastModified ? { etag, lastModified } : null,
+      vary,
+      varyValues: vary.map(name => req.headers[name] || ''),
+      hits: 0
+    });
+  }
+
+  // stale-while-revalidate: replace the entry after the stale copy was served
+  refresh(req, key, uri) {
+    this.forward(req)
+      .then(upstream => {
+        const decision = this.evaluateCacheability(uri, upstream);
+        if (decision.store) this.store(key, req, upstream, decision);
+        this.log(req, key, 'REFRESHED', decision.reason);
+      })
+      .catch(error => console.error('[CDN] Background refresh failed:', error.message));
+  }
+
+  purge() {
+    const purged = this.cache.size;
+    this.cache.clear();
+    return purged;
+  }
+
+  async handle(req, res) {
+    const uri = normalizeURI(req.url);
+    const cacheEnabled = !this.profile.uncachedPaths.includes(uri) &&
+      ['GET', 'HEAD'].includes(req.method);
+    const key = this.cacheKey(req);
+
+    let staleEntry = null;
+    if (cacheEnabled) {
+      const { entry, status } = this.lookup(key, req);
+      if (entry && status !== 'STALE') {
+        if (status === 'UPDATING') this.refresh(req, key, uri);
+        this.log(req, key, status);
+        const age = Math.floor((Date.now() - entry.storedAt) / 1000);
+        return this.respond(res, entry.statusCode, entry.headers, entry.body, status, { age, hits: entry.hits });
+      }
+      staleEntry = entry;
+      req.lookupStatus = status === 'STALE' ? 'EXPIRED' : status;
+    }
+
+    let upstream;
+    try {
+      const conditional = staleEntry ? {
+        ...(staleEntry.validator.etag && { 'if-none-match': staleEntry.validator.etag }),
+        ...(staleEntry.validator.lastModified && { 'if-modified-since': staleEntry.validator.lastModified })
+      } : {};
+      upstream = await this.forward(req, conditional);
+    } catch (error) {
+      console.error('[CDN] Upstream error:', error.message);
+      return this.respond(res, 502, { 'content-type': 'application/json' },
+        Buffer.from(JSON.stringify({ error: 'Bad gateway', message: error.message })), null);
+    }
+
+    if (!cacheEnabled) {
+      const headers = { ...upstream.headers, 'cache-control': upstream.headers['cache-control'] || 'no-store' };
+      this.log(req, key, null);
+      return this.respond(res, upstream.statusCode, headers, upstream.body, null);
+    }
+
+    // 304: the stored copy is still valid, whoever asked
+    if (staleEntry && upstream.statusCode === 304) {
+      const decision = this.evaluateCacheability(uri, {
+        statusCode: staleEntry.statusCode,
+        headers: { ...staleEntry.headers, ...upstream.headers }
+      });
+      staleEntry.storedAt = Date.now();
+      staleEntry.expiresAt = Date.now() + (decision.store ? decision.ttl : 0) * 1000;
+      staleEntry.hits++;
+      this.log(req, key, 'REVALIDATED');
+      return this.respond(res, staleEntry.statusCode, staleEntry.headers, staleEntry.body, 'REVALIDATED',
+        { age: 0, hits: staleEntry.hits });
+    }
+
+    const decision = this.evaluateCacheability(uri, upstream);
+    const cacheStatus = decision.status === 'MISS' ? req.lookupStatus : decision.status;
+
+    if (decision.store) {
+      this.store(key, req, upstream, decision);
+    } else if (staleEntry) {
+      this.cache.delete(key);
+    }
+
+    this.log(req, key, cacheStatus, decision.reason);
+    return this.respond(res, upstream.statusCode, decision.headers, upstream.body, cacheStatus);
+  }
+
+  forward(req, extraHeaders = {}) {
+    return new Promise((resolve, reject) => {
+      const headers = { ...req.headers, ...extraHeaders };
+      HOP_BY_HOP_HEADERS.forEach(header => delete headers[header]);
+
+      const forwardedFor = req.headers['x-forwarded-for'];
+      headers['x-forwarded-for'] = forwardedFor
+        ? `${forwardedFor}, ${req.socket.remoteAddress}`
+        : req.socket.remoteAddress;
+      headers['x-forwarded-proto'] = this.scheme;
+      headers['host'] = this.originURL.host;
+
+      const upstreamReq = https.request({
+        protocol: this.originURL.protocol,
+        hostname: this.originURL.hostname,
+        port: this.originURL.port,
+        method: req.method,
+        path: req.url,
+        headers,
+        agent: this.agent
+      }, (upstreamRes) => {
+        const chunks = [];
+        upstreamRes.on('data', chunk => chunks.push(chunk));
+        upstreamRes.on('end', () => {
+          const responseHeaders = { ...upstreamRes.headers };
+          HOP_BY_HOP_HEADERS.forEach(header => delete responseHeaders[header]);
+          resolve({
+            statusCode: upstreamRes.statusCode,
+            headers: responseHeaders,
+            body: Buffer.concat(chunks)
+          });
+        });
+        upstreamRes.on('error', reject);
+      });
+
+      upstreamReq.on('error', reject);
+      req.pipe(upstreamReq);
+    });
+  }
+
+  respond(res, statusCode, headers, body, cacheStatus, entry = null) {
+    const responseHeaders = {
+      ...headers,
+      ...this.profile.statusHeaders(cacheStatus, entry),
+      'content-length': body.length,
+      'x-cdn-simulator': this.profile.name
+    };
+
+    res.writeHead(statusCode, responseHeaders);
+    res.end(body);
+  }
+
+  log(req, key, cacheStatus, reason) {
+    console.log('[CDN]', JSON.stringify({
+      timestamp: new Date().toISOString(),
+      profile: this.profile.name,
+      method: req.method,
+      url: req.url,
+      cacheKey: key,
+      cacheStatus,
+      reason
+    }));
+  }
+}
+
+export function createCDNSimulatorServer(options = {}) {
+  const simulator = new CDNSimulator(options);
+  const server = https.createServer(options.ssl || generateSSL(), (req, res) => {
+    simulator.handle(req, res).catch(error => {
+      console.error('CDN simulator error:', error);
+      if (!res.headersSent) {
+        res.writeHead(500, { 'content-type': 'application/json' });
+      }
+      res.end(JSON.stringify({ error: 'Internal simulator error' }));
+    });
+  });
+
+  return { simulator, server };
+}
+
+// Start one listener per emulated vendor/config (CDN_PROFILES=local,cloudflare:loose,...)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const ORIGIN_URL = process.env.ORIGIN_URL || `https://localhost:${process.env.ORIGIN_PORT || 3443}`;
+  const ssl = generateSSL();
+
+  const requested = process.env.CDN_PROFILES
+    ? process.env.CDN_PROFILES.split(',').map(entry => {
+        const [vendor, config = 'default'] = entry.trim().split(':');
+        validateProfile(vendor, config);
+        return { vendor, config, profile: getProfile(vendor, config) };
+      })
+    : listEmulationTargets();
+
+  const servers = requested.map(({ vendor, config, profile }) => {
+    const port = vendor === 'local' ? (process.env.CDN_SIMULATOR_PORT || profile.port) : profile.port;
+    const { server } = createCDNSimulatorServer({ originURL: ORIGIN_URL, profile, ssl });
+
+    server.listen(port, '0.0.0.0', () => {
+      console.log(` CDN simulator ${vendor}/${config} (${profile.name}) running on https://localhost:${port}`);
+    });
+    return server;
+  });
+
+  console.log(` Upstream origin: ${ORIGIN_URL}`);
+  console.log(` SSL Status: ${process.env.SSL_MODE || 'Unknown'}`);
+
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, shutting down gracefully');
+    Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))))
+      .then(() => process.exit(0));
+  });
+}
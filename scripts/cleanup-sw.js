@@ -3,8 +3,20 @@
 // SW-WCD Safety Cleanup Script
 // Forces unregistration of all Service Workers and cleans up test data
 
+import 'dotenv/config';
 import { Pool } from 'pg';
 import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { TEST_CONFIG, ORIGIN_URL, getCDNBaseURL } from '../tests/config.js';
+
+// Playwright is installed with the test suite (tests/package.json)
+const require = createRequire(new URL('../tests/package.json', import.meta.url));
+const playwright = require('@playwright/test');
+
+// Served by page.route(), so an origin without workers gets no traffic. A
+// navigation an active worker controls bypasses page.route(): that worker
+// handles it and may fetch from the origin or CDN before it is unregistered
+const CLEANUP_PATH = '/__sw-wcd-cleanup';
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL
@@ -13,36 +25,107 @@ const pool = new Pool({
 class SafetyCleanup {
   constructor() {
     this.cleanedSWs = 0;
+    this.cleanedScopes = [];
+    this.cleanedCaches = 0;
+    this.skippedTargets = [];
     this.cleanedData = 0;
   }
 
+  // Every origin a test may have registered a SW on: the origin server,
+  // each CDN base URL and each emulated vendor config listener
+  getTestOrigins() {
+    const origins = new Set([new URL(ORIGIN_URL).origin]);
+
+    Object.entries(TEST_CONFIG.cdns).forEach(([cdn, cdnConfig]) => {
+      origins.add(new URL(cdnConfig.baseURL).origin);
+      cdnConfig.configs.forEach(config => origins.add(new URL(getCDNBaseURL(cdn, config)).origin));
+    });
+
+    return [...origins];
+  }
+
+  // Test contexts are temporary, so only persistent profiles can hold workers
   async forceSWUnregistration() {
     console.log(' Forcing Service Worker unregistration...');
-    
-    // This would typically be run in a browser context
-    // For now, we log the instruction
-    console.log(`
-    To force Service Worker unregistration in browsers:
-    
-    1. Chrome/Edge: 
-       - Navigate to chrome://serviceworker-internals/
-       - Click "Unregister" for any SW-WCD related workers
-    
-    2. Firefox:
-       - Navigate to about:serviceworkers
-       - Click "Unregister" for any SW-WCD related workers
-    
-    3. Safari:
-       - Develop → Service Workers → Unregister
-       
-    4. Programmatic:
-       - Run in browser console:
-         navigator.serviceWorker.getRegistrations().then(regs => {
-           regs.forEach(reg => reg.unregister());
-         });
-    `);
-    
-    this.cleanedSWs = 1; // Placeholder
+
+    const origins = this.getTestOrigins();
+    const targets = TEST_CONFIG.safety.persistentProfiles;
+
+    if (targets.length === 0) {
+      const reason = 'PLAYWRIGHT_PROFILE_DIRS is not set, so no browser profile was checked';
+      console.warn(`   WARNING: ${reason}`);
+      this.skippedTargets.push({ target: 'browser profiles', reason });
+    }
+
+    for (const target of targets) {
+      const label = `${target.browser} profile ${target.userDataDir}`;
+      let context;
+
+      try {
+        context = await playwright[target.browser].launchPersistentContext(target.userDataDir, {
+          headless: true,
+          ignoreHTTPSErrors: true
+        });
+      } catch (error) {
+        console.warn(`   Skipping ${label}: ${error.message.split('\n')[0]}`);
+        this.skippedTargets.push({ target: label, reason: error.message.split('\n')[0] });
+        continue;
+      }
+
+      try {
+        await this.cleanContext(context, label, origins);
+      } finally {
+        await context.close();
+      }
+    }
+
+    console.log(` Unregistered ${this.cleanedSWs} Service Worker(s), deleted ${this.cleanedCaches} cache(s)`);
+  }
+
+  async cleanContext(context, label, origins) {
+    const page = await context.newPage();
+    await page.route(`**${CLEANUP_PATH}`, route => route.fulfill({
+      status: 200,
+      contentType: 'text/html',
+      body: '<!DOCTYPE html><title>SW-WCD cleanup</title>'
+    }));
+
+    for (const origin of origins) {
+      try {
+        await page.goto(`${origin}${CLEANUP_PATH}`, { timeout: 15000 });
+
+        const result = await page.evaluate(async () => {
+          const scopes = [];
+          const registrations = 'serviceWorker' in navigator
+            ? await navigator.serviceWorker.getRegistrations()
+            : [];
+
+          for (const registration of registrations) {
+            if (await registration.unregister()) {
+              scopes.push(registration.scope);
+            }
+          }
+
+          const cacheNames = 'caches' in self ? await caches.keys() : [];
+          await Promise.all(cacheNames.map(name => caches.delete(name)));
+
+          return { scopes, cacheNames };
+        });
+
+        this.cleanedSWs += result.scopes.length;
+        this.cleanedCaches += result.cacheNames.length;
+        result.scopes.forEach(scope => this.cleanedScopes.push({ target: label, scope }));
+
+        if (result.scopes.length > 0 || result.cacheNames.length > 0) {
+          console.log(`   [${label}] ${origin}: ${result.scopes.length} SW(s), ${result.cacheNames.length} cache(s) removed`);
+        }
+      } catch (error) {
+        console.warn(`   [${label}] ${origin}: cleanup failed - ${error.message.split('\n')[0]}`);
+        this.skippedTargets.push({ target: `${label} ${origin}`, reason: error.message.split('\n')[0] });
+      }
+    }
+
+    await page.close();
   }
 
   async cleanupOldData(retentionDays = 30) {
@@ -67,7 +150,14 @@ class SafetyCleanup {
         [`${retentionDays} days`]
       );
       
-      this.cleanedData = experimentsResult.rowCount + logsResult.rowCount + metricsResult.rowCount;
+      // Clean SW telemetry
+      const swEventsResult = await pool.query(
+        'DELETE FROM sw_events WHERE received_at < NOW() - $1::interval',
+        [`${retentionDays} days`]
+      );
+      
+      this.cleanedData = experimentsResult.rowCount + logsResult.rowCount + metricsResult.rowCount +
+        swEventsResult.rowCount;
       
       console.log(` Cleaned up ${this.cleanedData} records`);
       
@@ -137,14 +227,23 @@ class SafetyCleanup {
   generateReport() {
     console.log('\n=== SAFETY CLEANUP REPORT ===\n');
     console.log(`Service Workers cleaned: ${this.cleanedSWs}`);
+    this.cleanedScopes.forEach(({ target, scope }) => console.log(`   - ${scope} (${target})`));
+    console.log(`CacheStorage caches deleted: ${this.cleanedCaches}`);
+    if (this.skippedTargets.length > 0) {
+      console.log(`Skipped (not cleaned): ${this.skippedTargets.length}`);
+      this.skippedTargets.forEach(({ target, reason }) => console.log(`   - ${target}: ${reason}`));
+    }
     console.log(`Data records cleaned: ${this.cleanedData}`);
     console.log(`Timestamp: ${new Date().toISOString()}`);
     
     return {
       timestamp: new Date().toISOString(),
       swsCleaned: this.cleanedSWs,
+      swScopes: this.cleanedScopes,
+      cachesCleaned: this.cleanedCaches,
+      skipped: this.skippedTargets,
       dataCleaned: this.cleanedData,
-      status: 'COMPLETED'
+      status: this.skippedTargets.length > 0 ? 'INCOMPLETE' : 'COMPLETED'
     };
   }
 }
@@ -172,7 +271,11 @@ async function main() {
     // Generate report
     const report = cleanup.generateReport();
     
-    console.log('\n Cleanup completed successfully!');
+    if (report.status === 'INCOMPLETE') {
+      console.log('\n Cleanup incomplete: some browsers/origins could not be checked (see above).');
+    } else {
+      console.log('\n Cleanup completed successfully!');
+    }
     console.log(' Remember: Always test ethically on domains you own.');
     
   } catch (error) {
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+// Dataset export
+// Dumps experiments from Postgres into a versioned JSONL or CSV file that
+// `npm run analyze -- --source <file>` can analyze without a database
+
+import 'dotenv/config';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { PostgresSource, exportDataset, parseScopeArgs } from '../analysis/data-sources.js';
+
+// Main execution
+async function main() {
+  const source = new PostgresSource();
+
+  try {
+    // Same scope options as npm run analyze (last 30 days unless --all or a window/campaign)
+    const { filters, options } = parseScopeArgs(process.argv.slice(2), { defaultDays: 30, extraOptions: ['--out'] });
+    const out = options.out || `./analysis/datasets/experiments-${new Date().toISOString().slice(0, 10)}.jsonl`;
+    const { rows, scope } = await source.load(filters);
+
+    mkdirSync(dirname(out), { recursive: true });
+    const header = exportDataset(rows, out, { scope });
+
+    console.log(` Exported ${header.rows} trials (${scope}) to ${out}`);
+    console.log(` Schema ${header.schema} v${header.schemaVersion}`);
+    console.log(` Analyze offline with: npm run analyze -- --source ${out}`);
+
+  } catch (error) {
+    console.error(' Export failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await source.close();
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
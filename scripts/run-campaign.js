@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+
+// SW-WCD Campaign Runner
+// Plans the experiment matrix as a campaign, runs it through Playwright and,
+// when restarted with --resume, schedules only the trials still pending.
+// With --sequential it runs block by block and stops cells whose outcome is
+// already established.
+
+import 'dotenv/config';
+import { Pool } from 'pg';
+import { spawn } from 'child_process';
+import { mkdirSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { buildMatrix, parseMatrixFilter } from '../tests/matrix.js';
+import { TEST_CONFIG } from '../tests/config.js';
+import { STRATEGY_NAMES } from '../origin/strategies.js';
+import { PowerAnalysis } from '../analysis/power-analysis.js';
+import { SequentialTest, DECISIONS } from '../analysis/sequential-test.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const TESTS_DIR = join(__dirname, '../tests');
+const PLAN_DIR = join(__dirname, '../logs/campaigns');
+
+// Matrix trials are titled "<cell> #<repetition>"; skips the spec's smoke tests
+const MATRIX_GREP = '#\\d+$';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL
+});
+
+class CampaignRunner {
+  // trialNeeds (cellId -> trials) schedules only that many repetitions per
+  // cell; trialsPerCell must then be the largest need
+  async create({ name, seed, trialsPerCell, filter, trialNeeds = null, sequentialMethod = null }) {
+    const trials = buildMatrix({ trialsPerCell, filter: parseMatrixFilter(filter), seed, plan: null })
+      .filter(trial => !trialNeeds || trial.repetition <= (trialNeeds.get(trial.cellId) || 0));
+    if (trials.length === 0) {
+      throw new Error(trialNeeds ? 'No cell needs more trials' : `MATRIX_FILTER "${filter}" matches no cells`);
+    }
+
+    const campaignId = `campaign-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    const cells = [...new Map(trials.map(trial => [trial.cellId, trial])).values()];
+    const plan = {
+      cells: cells.length,
+      // STRATEGY_COMPOSITIONS in configured order: the matrix order depends on it
+      compositions: TEST_CONFIG.originStrategies.filter(strategy => !STRATEGY_NAMES.includes(strategy)),
+      dimensions: {
+        cdns: [...new Set(cells.map(cell => `${cell.cdn}:${cell.cdnConfig}`))],
+        browsers: [...new Set(cells.map(cell => cell.browser))],
+        attacks: [...new Set(cells.map(cell => cell.attack))],
+        strategies: [...new Set(cells.map(cell => cell.strategy))]
+      }
+    };
+
+    const sequentialTest = sequentialMethod
+      ? new SequentialTest({ method: sequentialMethod, maxTrials: trialsPerCell })
+      : null;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `INSERT INTO campaigns (
+          campaign_id, name, matrix_seed, trials_per_cell, matrix_filter, total_trials, plan, sequential_test
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [campaignId, name, String(seed), trialsPerCell, filter || null, trials.length, plan, sequentialTest]
+      );
+      await client.query(
+        `INSERT INTO campaign_cells (
+          campaign_id, sequence_number, block_number, cell_id, cdn_vendor,
+          cdn_config, browser, attack_type, origin_header_strategy
+        )
+        SELECT $1, * FROM unnest(
+          $2::int[], $3::int[], $4::text[], $5::text[], $6::text[], $7::text[], $8::text[], $9::text[]
+        )`,
+        [
+          campaignId,
+          trials.map(trial => trial.sequence),
+          trials.map(trial => trial.block),
+          trials.map(trial => trial.cellId),
+          trials.map(trial => trial.cdn),
+          trials.map(trial => trial.cdnConfig),
+          trials.map(trial => trial.browser),
+          trials.map(trial => trial.attack),
+          trials.map(trial => trial.strategy)
+        ]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(` Created ${campaignId}: ${plan.cells} cells x ${trialNeeds ? 'up to ' : ''}${trialsPerCell} = ${trials.length} trials (seed ${seed})`);
+    if (sequentialTest) {
+      console.log(` Sequential stopping: ${sequentialTest.method}, p0=${sequentialTest.p0}, p1=${sequentialTest.p1}, min ${sequentialTest.minTrials} trials`);
+    }
+    return this.load(campaignId);
+  }
+
+  async load(campaignId) {
+    const result = await pool.query('SELECT * FROM campaigns WHERE campaign_id = $1', [campaignId]);
+    if (result.rows.length === 0) {
+      throw new Error(`Unknown campaign: ${campaignId}`);
+    }
+    return result.rows[0];
+  }
+
+  // Pending trials, optionally of a single block
+  async getPending(campaignId, block = null) {
+    const result = await pool.query(
+      `SELECT sequence_number, block_number, cell_id
+       FROM campaign_cells
+       WHERE campaign_id = $1 AND status = 'pending'
+         AND ($2::int IS NULL OR block_number = $2)
+       ORDER BY sequence_number`,
+      [campaignId, block]
+    );
+    return result.rows;
+  }
+
+  // Completed trials and successes of every cell that still has pending trials
+  async getOpenCells(campaignId) {
+    const result = await pool.query(
+      `SELECT cc.cell_id,
+              COUNT(e.trial_id)::int AS trials,
+              COUNT(e.trial_id) FILTER (WHERE e.attack_outcome->>'success' = 'true')::int AS successes
+       FROM campaign_cells cc
+       LEFT JOIN experiments e ON e.trial_id = cc.trial_id AND cc.status = 'completed'
+       WHERE cc.campaign_id = $1
+       GROUP BY cc.cell_id
+       HAVING COUNT(*) FILTER (WHERE cc.status = 'pending') > 0`,
+      [campaignId]
+    );
+    return result.rows;
+  }
+
+  // Evaluate every open cell after a block; each evaluation is recorded, and a
+  // settled cell's remaining trials are marked 'stopped'
+  async applySequentialStopping(campaign, sequentialTest, block = null) {
+    const cells = await this.getOpenCells(campaign.campaign_id);
+    const stopped = {};
+
+    for (const cell of cells) {
+      const { decision, statistic, ...details } = sequentialTest.evaluate(cell.successes, cell.trials);
+
+      await pool.query(
+        `INSERT INTO campaign_stopping_decisions (
+          campaign_id, cell_id, block_number, trials, successes, method, decision, statistic, details
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [campaign.campaign_id, cell.cell_id, block, cell.trials, cell.successes, sequentialTest.method, decision, statistic, details]
+      );
+
+      if (decision === DECISIONS.CONTINUE) continue;
+
+      await pool.query(
+        `UPDATE campaign_cells
+         SET status = 'stopped', status_reason = $3, completed_at = NOW()
+         WHERE campaign_id = $1 AND cell_id = $2 AND status = 'pending'`,
+        [campaign.campaign_id, cell.cell_id, `${decision} after ${cell.successes}/${cell.trials} (${sequentialTest.method})`]
+      );
+      stopped[decision] = (stopped[decision] || 0) + 1;
+    }
+
+    const summary = Object.entries(stopped).map(([decision, count]) => `${count} ${decision}`).join(', ');
+    console.log(` Sequential check: ${cells.length} open cells${summary ? `, stopped ${summary}` : ''}`);
+  }
+
+  async setStatus(campaignId, status) {
+    await pool.query(
+      `UPDATE campaigns
+       SET status = $2, updated_at = NOW(),
+           completed_at = CASE WHEN $2 = 'completed' THEN NOW() ELSE completed_at END
+       WHERE campaign_id = $1`,
+      [campaignId, status]
+    );
+  }
+
+  writePlan(campaign, pending) {
+    mkdirSync(PLAN_DIR, { recursive: true });
+    const planPath = join(PLAN_DIR, `${campaign.campaign_id}.plan.json`);
+    writeFileSync(planPath, JSON.stringify({
+      campaignId: campaign.campaign_id,
+      trials: pending.map(row => ({ sequence: row.sequence_number, cellId: row.cell_id }))
+    }, null, 2));
+    return planPath;
+  }
+
+  runPlaywright(campaign, planPath, playwrightArgs) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('npx', ['playwright', 'test', 'attack.spec.js', '--grep', MATRIX_GREP, ...playwrightArgs], {
+        cwd: TESTS_DIR,
+        stdio: 'inherit',
+        env: {
+          ...process.env,
+          CAMPAIGN_ID: campaign.campaign_id,
+          CAMPAIGN_PLAN: planPath,
+          MATRIX_SEED: campaign.matrix_seed,
+          TRIALS_PER_CELL: String(campaign.trials_per_cell),
+          MATRIX_FILTER: campaign.matrix_filter || '',
+          // Compositions the campaign was planned with, so its cells still exist
+          STRATEGY_COMPOSITIONS: (campaign.plan.compositions || (campaign.plan.dimensions?.strategies || [])
+            .filter(strategy => !STRATEGY_NAMES.includes(strategy))).join(',')
+        }
+      });
+      child.on('error', reject);
+      child.on('exit', code => resolve(code));
+    });
+  }
+
+  // Re-run the pending trials until none remain; trials lost to crashes or
+  // 429s stay pending, so each pass waits out the rate-limit window first
+  async runPasses(campaign, block, { maxPasses, pauseMs, playwrightArgs }) {
+    for (let pass = 1; pass <= maxPasses; pass++) {
+      const pending = await this.getPending(campaign.campaign_id, block);
+      if (pending.length === 0) break;
+
+      if (pass > 1) {
+        console.log(` Pausing ${pauseMs}ms before pass ${pass} (rate limit window)...`);
+        await new Promise(resolve => setTimeout(resolve, pauseMs));
+      }
+
+      console.log(`\n ${block === null ? '' : `Block ${block}, `}Pass ${pass}/${maxPasses}: ${pending.length}/${campaign.total_trials} trials pending`);
+      const planPath = this.writePlan(campaign, pending);
+      const exitCode = await this.runPlaywright(campaign, planPath, playwrightArgs);
+      console.log(` Playwright exited with code ${exitCode}`);
+    }
+  }
+
+  async run(campaign, options) {
+    await this.setStatus(campaign.campaign_id, 'running');
+
+    if (campaign.sequential_test) {
+      // One block holds one trial of every cell, so cells are re-evaluated
+      // after each of their trials
+      const sequentialTest = SequentialTest.fromJSON(campaign.sequential_test);
+      await this.applySequentialStopping(campaign, sequentialTest);
+
+      const blocks = [...new Set((await this.getPending(campaign.campaign_id)).map(row => row.block_number))];
+      for (const block of blocks) {
+        await this.runPasses(campaign, block, options);
+        await this.applySequentialStopping(campaign, sequentialTest, block);
+      }
+    } else {
+      await this.runPasses(campaign, null, options);
+    }
+
+    const remaining = await this.getPending(campaign.campaign_id);
+    const status = remaining.length === 0 ? 'completed' : 'paused';
+    await this.setStatus(campaign.campaign_id, status);
+
+    if (status === 'paused') {
+      console.log(`\n ${remaining.length} trials still pending. Resume with:`);
+      console.log(`   node scripts/run-campaign.js --resume ${campaign.campaign_id}`);
+    }
+
+    return status;
+  }
+
+  async printStatus(campaignId = null) {
+    const result = await pool.query(
+      `SELECT c.campaign_id, c.name, c.status, c.created_at, c.total_trials,
+              COUNT(*) FILTER (WHERE cc.status = 'completed') AS completed,
+              COUNT(*) FILTER (WHERE cc.status = 'skipped') AS skipped,
+              COUNT(*) FILTER (WHERE cc.status = 'stopped') AS stopped,
+              COUNT(*) FILTER (WHERE cc.status = 'pending') AS pending
+       FROM campaigns c
+       JOIN campaign_cells cc ON cc.campaign_id = c.campaign_id
+       WHERE $1::text IS NULL OR c.campaign_id = $1
+       GROUP BY c.campaign_id
+       ORDER BY c.created_at DESC`,
+      [campaignId]
+    );
+
+    console.log('\n=== CAMPAIGNS ===\n');
+    result.rows.forEach(row => {
+      console.log(`${row.campaign_id} [${row.status}] ${row.name || ''}`);
+      console.log(`   ${row.completed} completed, ${row.skipped} skipped, ${row.stopped} stopped early, ${row.pending} pending of ${row.total_trials}`);
+    });
+    return result.rows;
+  }
+}
+
+function parseArgs(argv) {
+  const separator = argv.indexOf('--');
+  const args = separator === -1 ? argv : argv.slice(0, separator);
+  const options = {
+    playwrightArgs: separator === -1 ? [] : argv.slice(separator + 1),
+    maxPasses: 3,
+    pauseMs: 60 * 1000
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const next = () => {
+      if (args[i + 1] === undefined) throw new Error(`Missing value for ${args[i]}`);
+      return args[++i];
+    };
+    switch (args[i]) {
+      case '--name': options.name = next(); break;
+      case '--resume': options.resume = next(); break;
+      case '--status':
+        options.status = true;
+        if (args[i + 1] && !args[i + 1].startsWith('--')) options.campaignId = args[++i];
+        break;
+      case '--trials': options.trialsPerCell = parseInt(next()); break;
+      case '--filter': options.filter = next(); break;
+      case '--sequential':
+        options.sequential = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : process.env.SEQUENTIAL_METHOD || 'sprt';
+        break;
+      case '--power':
+        options.power = true;
+        if (args[i + 1] && !args[i + 1].startsWith('--')) options.powerCampaignId = args[++i];
+        break;
+      case '--seed': options.seed = next(); break;
+      case '--max-passes': options.maxPasses = parseInt(next()); break;
+      case '--pause-ms': options.pauseMs = parseInt(next()); break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+// Main execution
+async function main() {
+  const runner = new CampaignRunner();
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.status) {
+      await runner.printStatus(options.campaignId);
+      return;
+    }
+
+    // --power: size each cell from the power analysis of the data so far
+    let trialNeeds = null;
+    if (options.power && !options.resume) {
+      const analysis = new PowerAnalysis();
+      const needs = analysis.trialNeeds(await analysis.loadObservedCells({ campaignId: options.powerCampaignId, db: pool }));
+      trialNeeds = new Map(needs.map(need => [need.cellId, need.needed]));
+      console.log(` Power analysis: ${needs.filter(need => need.needed > 0).length}/${needs.length} cells need more trials`);
+    }
+
+    const campaign = options.resume
+      ? await runner.load(options.resume)
+      : await runner.create({
+          name: options.name || null,
+          seed: options.seed || process.env.MATRIX_SEED || String(Date.now()),
+          trialsPerCell: trialNeeds
+            ? Math.max(...trialNeeds.values())
+            : options.trialsPerCell || parseInt(process.env.TRIALS_PER_CELL) || 1,
+          filter: options.filter ?? process.env.MATRIX_FILTER ?? '',
+          trialNeeds,
+          sequentialMethod: options.sequential || null
+        });
+
+    if (campaign.status === 'completed') {
+      console.log(` ${campaign.campaign_id} is already completed`);
+      return;
+    }
+
+    const status = await runner.run(campaign, options);
+    await runner.printStatus(campaign.campaign_id);
+
+    console.log(`\n Analyze with: node analysis/statistical-engine.js --campaign ${campaign.campaign_id}`);
+    if (status !== 'completed') process.exitCode = 2;
+
+  } catch (error) {
+    console.error(' Campaign failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default CampaignRunner;
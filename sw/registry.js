@@ -0,0 +1,261 @@
+// Service Worker payload registry - the single source of SW code for the
+// /sw/:type route, blob registration in the tests and any tooling.
+import crypto from 'crypto';
+
+import { T1_PATH_SCULPTING } from './t1-path-sculpting.js';
+import { T2_HEADER_MANIPULATION } from './t2-header-manipulation.js';
+import { T3_DELIMITER_CONFUSION } from './t3-delimiter-confusion.js';
+import { T4_SCOPE_MISCONFIG } from './t4-scope-misconfig.js';
+
+export const SW_PAYLOADS = {
+  [T1_PATH_SCULPTING.type]: T1_PATH_SCULPTING,
+  [T2_HEADER_MANIPULATION.type]: T2_HEADER_MANIPULATION,
+  [T3_DELIMITER_CONFUSION.type]: T3_DELIMITER_CONFUSION,
+  [T4_SCOPE_MISCONFIG.type]: T4_SCOPE_MISCONFIG
+};
+
+export const SW_TYPES = Object.keys(SW_PAYLOADS);
+
+// Safety: no worker outlives this, whoever configures it
+export const MAX_LIFETIME_SECONDS = 300;
+
+// Settings shared by every payload
+export const COMMON_DEFAULTS = {
+  lifetimeSeconds: MAX_LIFETIME_SECONDS, // Safety: auto-unregister after 5 minutes
+  trialId: null,
+  telemetryEndpoint: '/sw-telemetry'
+};
+
+// Events a worker posts to the telemetry endpoint
+export const SW_EVENT_TYPES = ['install', 'activate', 'intercept', 'response', 'fallback', 'unregister'];
+
+// Thrown for query parameters /sw/:type cannot embed (answered with 400)
+export class SWParameterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SWParameterError';
+  }
+}
+
+// Comma-separated and repeated query values both produce lists
+const toList = (name, value) => {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.some(v => typeof v !== 'string')) {
+    throw new SWParameterError(`Parameter "${name}" must be a string or list of strings`);
+  }
+  const list = values.flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+  if (list.length === 0 || list.length > 10) {
+    throw new SWParameterError(`Parameter "${name}" must have between 1 and 10 values`);
+  }
+  return list;
+};
+
+const parseExtensions = (value) => toList('ext', value).map(ext => {
+  const normalized = (ext.startsWith('.') ? ext : '.' + ext).toLowerCase();
+  if (!/^\.[a-z0-9]{1,8}$/.test(normalized)) {
+    throw new SWParameterError(`Invalid extension: ${ext}`);
+  }
+  return normalized;
+});
+
+const parseTargetPaths = (value) => toList('targets', value).map(path => {
+  if (!/^\/[A-Za-z0-9._~\/-]*$/.test(path)) {
+    throw new SWParameterError(`Invalid target path: ${path}`);
+  }
+  return path;
+});
+
+// header=Name:Value (repeatable) or header[Name]=Value
+const parseHeaders = (value) => {
+  let entries;
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    entries = Object.entries(value);
+  } else {
+    const values = Array.isArray(value) ? value : [value];
+    entries = values.map(entry => {
+      const separator = typeof entry === 'string' ? entry.indexOf(':') : -1;
+      if (separator < 1) {
+        throw new SWParameterError(`Invalid header "${entry}", expected Name:Value`);
+      }
+      return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+    });
+  }
+
+  if (entries.length === 0 || entries.length > 10) {
+    throw new SWParameterError('Parameter "header" must have between 1 and 10 entries');
+  }
+
+  return Object.fromEntries(entries.map(([name, headerValue]) => {
+    if (!/^[A-Za-z0-9-]+$/.test(name) || typeof headerValue !== 'string' || /[\r\n]/.test(headerValue)) {
+      throw new SWParameterError(`Invalid header: ${name}`);
+    }
+    return [name, headerValue];
+  }));
+};
+
+const parseLifetime = (value) => {
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_LIFETIME_SECONDS) {
+    throw new SWParameterError(`Parameter "lifetime" must be an integer between 1 and ${MAX_LIFETIME_SECONDS} seconds`);
+  }
+  return seconds;
+};
+
+const parseTrialId = (value) => {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(value)) {
+    throw new SWParameterError('Parameter "trial" must be 1-64 characters of [A-Za-z0-9_-]');
+  }
+  return value;
+};
+
+// Query parameter -> config key it overrides
+export const SW_PARAMETERS = {
+  ext: { key: 'deceptiveExtensions', parse: parseExtensions },
+  targets: { key: 'targetPaths', parse: parseTargetPaths },
+  header: { key: 'injectHeaders', parse: parseHeaders },
+  lifetime: { key: 'lifetimeSeconds', parse: parseLifetime },
+  trial: { key: 'trialId', parse: parseTrialId }
+};
+
+export const getPayload = (type) => {
+  const payload = SW_PAYLOADS[type];
+  if (!payload) {
+    throw new Error(`Unknown Service Worker type: ${type}. Must be one of: ${SW_TYPES.join(', ')}`);
+  }
+  return payload;
+};
+
+// Validate a /sw/:type query into buildSW() overrides. Unknown keys and
+// keys the payload has no setting for (e.g. ext on T2) are rejected.
+export function parseSWParams(type, query = {}) {
+  const payload = getPayload(type);
+  const defaults = { ...COMMON_DEFAULTS, ...payload.defaults };
+  const overrides = {};
+
+  for (const [name, value] of Object.entries(query)) {
+    const parameter = SW_PARAMETERS[name];
+    if (!parameter) {
+      throw new SWParameterError(`Unknown parameter "${name}". Allowed: ${Object.keys(SW_PARAMETERS).join(', ')}`);
+    }
+    if (!(parameter.key in defaults)) {
+      throw new SWParameterError(`Parameter "${name}" is not supported by ${type}`);
+    }
+    overrides[parameter.key] = parameter.parse(value);
+  }
+
+  return overrides;
+}
+
+export const hashSource = (source) => {
+  return crypto.createHash('sha256').update(source).digest('hex');
+};
+
+function renderSW(payload, config) {
+  return `// ${payload.type} - Service Worker for SW-WCD Research (generated by sw/registry.js)
+const ATTACK_TYPE = '${payload.type}';
+const ATTACK_CONFIG = ${JSON.stringify(config, null, 2)};
+const LOG_PREFIX = '[SW-WCD-${payload.tag}]';
+
+// Exact path or sub-path; entries ending in '/' match as prefixes
+const isTargetPath = (pathname) => ATTACK_CONFIG.targetPaths.some(target =>
+  target.endsWith('/')
+    ? pathname.startsWith(target)
+    : pathname === target || pathname.startsWith(target + '/')
+);
+
+console.log(LOG_PREFIX, '${payload.name} activated');
+console.log(LOG_PREFIX, 'Running configuration:', JSON.stringify(ATTACK_CONFIG));
+
+// Self-report: reply to { type: 'sw-wcd-config' } with the embedded configuration
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'sw-wcd-config') return;
+  const report = { attackType: ATTACK_TYPE, config: ATTACK_CONFIG };
+  if (event.ports?.[0]) {
+    event.ports[0].postMessage(report);
+  } else {
+    event.source?.postMessage(report);
+  }
+});
+
+// Telemetry: post a structured event to the origin, tagged with the trial id.
+// Never throws - a lost event must not change what the attack does.
+const reportEvent = (eventType, fields = {}) => {
+  if (!ATTACK_CONFIG.telemetryEndpoint) return Promise.resolve();
+
+  return fetch(new URL(ATTACK_CONFIG.telemetryEndpoint, self.registration.scope), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      trialId: ATTACK_CONFIG.trialId,
+      attackType: ATTACK_TYPE,
+      eventType,
+      timestamp: new Date().toISOString(),
+      ...fields
+    }),
+    keepalive: true
+  }).catch(error => console.warn(LOG_PREFIX, 'Telemetry failed:', error.message));
+};
+
+self.addEventListener('install', (event) => {
+  console.log(LOG_PREFIX, 'Installing');
+  event.waitUntil(Promise.all([reportEvent('install'), self.skipWaiting()]));
+});
+
+self.addEventListener('activate', (event) => {
+  console.log(LOG_PREFIX, 'Activating and claiming clients');
+  event.waitUntil(Promise.all([reportEvent('activate'), clients.claim()]));
+});
+${payload.fetchHandler}
+// Safety: Auto-unregister after the configured lifetime
+setTimeout(() => {
+  self.registration.unregister().then(success => {
+    console.log(LOG_PREFIX, 'Safety auto-unregister:', success);
+    return reportEvent('unregister', { details: { success } });
+  });
+}, ATTACK_CONFIG.lifetimeSeconds * 1000);
+`;
+}
+
+// Build the worker for a type; identical (type, config) always yields
+// identical source, so the hash identifies exactly what was registered.
+export function buildSW(type, overrides = {}) {
+  const payload = getPayload(type);
+  const config = { ...COMMON_DEFAULTS, ...payload.defaults, ...overrides };
+  const source = renderSW(payload, config);
+
+  return {
+    type,
+    config,
+    source,
+    hash: hashSource(source)
+  };
+}
+
+// No-op worker served while the origin kill switch is on: it replaces a
+// research worker on the next update check and unregisters itself.
+export function buildKillSwitchSW() {
+  const source = `// kill-switch - Service Worker for SW-WCD Research (generated by sw/registry.js)
+const LOG_PREFIX = '[SW-WCD-KILL]';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(self.skipWaiting());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    self.registration.unregister().then(success => {
+      console.log(LOG_PREFIX, 'Unregistered by origin kill switch:', success);
+    })
+  );
+});
+`;
+
+  return {
+    type: 'kill-switch',
+    config: {},
+    source,
+    hash: hashSource(source)
+  };
+}
+
+export default buildSW;
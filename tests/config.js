@@ -1,26 +1,87 @@
+import { getProfile } from '../origin/cdn-profiles.js';
+import { STRATEGY_NAMES, canonicalStrategyName } from '../origin/strategies.js';
+import { canonicalRoutingMode } from '../origin/routing-modes.js';
+import { MAX_LIFETIME_SECONDS } from '../sw/registry.js';
+
+// Local CDN stand-in: the in-process simulator (npm run cdn) by default,
+// or the Docker nginx container when pointed at https://cdn-simulator.local
+export const CDN_SIMULATOR_URL = process.env.CDN_SIMULATOR_URL || 'https://localhost:8443';
+
+// Origin server, reached directly (not through a CDN) for admin routes
+export const ORIGIN_URL = process.env.ORIGIN_URL || `https://localhost:${process.env.ORIGIN_PORT || 3443}`;
+
+// Vendor CDNs run against local emulation profiles unless CDN_EMULATION=false,
+// in which case the real test domains below are used
+export const CDN_EMULATION = process.env.CDN_EMULATION !== 'false';
+
+export function getEmulationURL(cdn, cdnConfig = 'default') {
+  return `https://localhost:${getProfile(cdn, cdnConfig).port}`;
+}
+
+const vendorDomain = (domain) => (CDN_EMULATION ? 'localhost' : domain);
+const vendorURL = (cdn, domain) => (CDN_EMULATION ? getEmulationURL(cdn) : `https://${domain}`);
+const CF_DOMAIN = process.env.CF_TEST_DOMAIN || 'cf-test.yourdomain.com';
+const FASTLY_DOMAIN = process.env.FASTLY_TEST_DOMAIN || 'fastly-test.yourdomain.com';
+const CLOUDFRONT_DOMAIN = process.env.CLOUDFRONT_TEST_DOMAIN || 'aws-test.yourdomain.com';
+
+function parseProfileDirs(value = '') {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const match = entry.match(/^(chromium|firefox|webkit):(.+)$/);
+    return match
+      ? { browser: match[1], userDataDir: match[2] }
+      : { browser: 'chromium', userDataDir: entry };
+  });
+}
+
+// SW_AUTO_UNREGISTER_MINUTES, within the lifetime /sw/:type accepts
+function parseSWLifetimeMinutes(value) {
+  const minutes = parseInt(value) || 5;
+  if (minutes < 1 || minutes * 60 > MAX_LIFETIME_SECONDS) {
+    throw new Error(`SW_AUTO_UNREGISTER_MINUTES must be between 1 and ${MAX_LIFETIME_SECONDS / 60}`);
+  }
+  return minutes;
+}
+
+// Fragment compositions (origin/strategies.js) to run next to the presets,
+// under their canonical names: STRATEGY_COMPOSITIONS=public300+varyCookie,...
+function parseCompositions(value = '') {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(canonicalStrategyName);
+}
+
+// Test users of origin/auth.js. The victim signs in before the SW runs; the
+// attacker signs in as another user (ATTACKER_USER=anonymous for none), so a
+// leak is victim A's data served to B
+const VICTIM_USER = process.env.VICTIM_USER || 'alice';
+const ATTACKER_USER = process.env.ATTACKER_USER || 'bob';
+
 // Test configuration matrix
 export const TEST_CONFIG = {
   cdns: {
     cloudflare: {
-      testDomain: process.env.CF_TEST_DOMAIN || 'cf-test.yourdomain.com',
+      testDomain: vendorDomain(CF_DOMAIN),
+      baseURL: vendorURL('cloudflare', CF_DOMAIN),
       cacheHeaders: ['cf-cache-status', 'age', 'cf-ray'],
       configs: ['default', 'loose'],
       cacheArmor: process.env.CLOUDFLARE_CACHE_ARMOR === 'true'
     },
     fastly: {
-      testDomain: process.env.FASTLY_TEST_DOMAIN || 'fastly-test.yourdomain.com', 
+      testDomain: vendorDomain(FASTLY_DOMAIN),
+      baseURL: vendorURL('fastly', FASTLY_DOMAIN),
       cacheHeaders: ['x-cache', 'age', 'x-served-by'],
       configs: ['default', 'aggressive'],
-      surrogateControl: process.env.FASTLY_SURROGATE_CONTROL === 'true'
+      // On unless FASTLY_SURROGATE_CONTROL=false, as the simulator's profile reads it
+      surrogateControl: getProfile('fastly').envOverrides(process.env).honorSurrogateControl
     },
     cloudfront: {
-      testDomain: process.env.CLOUDFRONT_TEST_DOMAIN || 'aws-test.yourdomain.com',
+      testDomain: vendorDomain(CLOUDFRONT_DOMAIN),
+      baseURL: vendorURL('cloudfront', CLOUDFRONT_DOMAIN),
       cacheHeaders: ['x-cache', 'age', 'x-amz-cf-id'],
       configs: ['default', 'permissive'],
       cachePolicy: process.env.CLOUDFRONT_CACHE_POLICY || 'CachingOptimized'
     },
     local: {
-      testDomain: 'cdn-simulator.local',
+      testDomain: new URL(CDN_SIMULATOR_URL).hostname,
+      baseURL: CDN_SIMULATOR_URL,
       cacheHeaders: ['x-cache-status', 'x-cdn-simulator'],
       configs: ['default']
     }
@@ -43,22 +104,54 @@ export const TEST_CONFIG = {
       swPath: '/sw/t2-header-manipulation',
       techniques: ['header-injection', 'surrogate-control']
     },
+    't3-delimiter-confusion': {
+      name: 'Delimiter Confusion',
+      targetPath: '/account',
+      modifiedPath: '/account%3Bsw-wcd-cache.css',
+      swPath: '/sw/t3-delimiter-confusion',
+      techniques: ['path-delimiter-injection', 'encoded-character-confusion']
+    },
     't4-scope-misconfig': {
       name: 'Scope Misconfiguration',
-      targetPath: '/user/alice/profile',
+      targetPath: `/user/${VICTIM_USER}/profile`,
       modifiedPath: '/static/user-profile-cache',
       swPath: '/sw/t4-scope-misconfig', 
       techniques: ['path-normalization', 'shared-cache-keys']
     }
   },
 
-  originStrategies: ['proper', 'misconfigured', 'missing', 'conflicting'],
+  // Every preset in origin/strategies.js plus STRATEGY_COMPOSITIONS
+  // (narrow with MATRIX_FILTER=strategy=...)
+  originStrategies: [...new Set([...STRATEGY_NAMES, ...parseCompositions(process.env.STRATEGY_COMPOSITIONS)])],
+
+  // Origin behaviour a trial ran against: ORIGIN_ROUTING picks how paths map
+  // onto routes (origin/routing-modes.js); STATIC_USER_PATHS=shared-cache-path
+  // makes /static/user-*-cache serve the requesting user's section (T4)
+  originModes: {
+    routing: canonicalRoutingMode(process.env.ORIGIN_ROUTING || 'legacy'),
+    staticUserPaths: process.env.STATIC_USER_PATHS || 'static'
+  },
+
+  users: {
+    victim: VICTIM_USER,
+    attacker: ATTACKER_USER === 'anonymous' ? null : ATTACKER_USER,
+    password: process.env.TEST_USER_PASSWORD || 'sw-wcd-research'
+  },
 
   safety: {
     maxRequestsPerSecond: parseInt(process.env.MAX_REQUESTS_PER_SECOND) || 1,
-    swAutoUnregisterMinutes: parseInt(process.env.SW_AUTO_UNREGISTER_MINUTES) || 5,
+    swAutoUnregisterMinutes: parseSWLifetimeMinutes(process.env.SW_AUTO_UNREGISTER_MINUTES),
     trialDelayMs: 3000, // Wait for CDN cache propagation
-    requestTimeoutMs: 30000
+    // Origin rate limit for test runs; playwright.config.js starts the origin
+    // with it (the origin on its own allows 5 per minute)
+    originRateLimit: {
+      max: parseInt(process.env.RATE_LIMIT_MAX) || 100,
+      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000
+    },
+    requestTimeoutMs: 30000,
+    // Persistent browser profiles that may hold SWs between runs, swept by
+    // scripts/cleanup-sw.js (PLAYWRIGHT_PROFILE_DIRS=chromium:/path,firefox:/path)
+    persistentProfiles: parseProfileDirs(process.env.PLAYWRIGHT_PROFILE_DIRS)
   }
 };
 
@@ -66,6 +159,14 @@ export function getCDNConfig(cdn) {
   return TEST_CONFIG.cdns[cdn] || TEST_CONFIG.cdns.local;
 }
 
+// Base URL for a CDN/config pair; emulated vendor configs each have their own listener
+export function getCDNBaseURL(cdn, cdnConfig = 'default') {
+  if (CDN_EMULATION && cdn !== 'local') {
+    return getEmulationURL(cdn, cdnConfig);
+  }
+  return getCDNConfig(cdn).baseURL;
+}
+
 export function getAttackConfig(attack) {
   return TEST_CONFIG.attacks[attack];
 }
@@ -89,6 +190,10 @@ export function validateTestParams({ cdn, browser, attack, strategy }) {
     errors.push(`Invalid strategy: ${strategy}. Must be one of: ${TEST_CONFIG.originStrategies.join(', ')}`);
   }
   
+  if (TEST_CONFIG.users.attacker === TEST_CONFIG.users.victim) {
+    errors.push(`ATTACKER_USER must differ from VICTIM_USER (${TEST_CONFIG.users.victim})`);
+  }
+  
   if (errors.length > 0) {
     throw new Error(`Test parameter validation failed:\n${errors.join('\n')}`);
   }
@@ -0,0 +1,73 @@
+import { test, expect } from '@playwright/test';
+import { TEST_CONFIG, ORIGIN_URL } from './config.js';
+
+const BASE_URL = TEST_CONFIG.cdns.local.baseURL;
+const ADMIN_HEADERS = process.env.ADMIN_TOKEN ? { 'X-Admin-Token': process.env.ADMIN_TOKEN } : {};
+
+const setKillSwitch = async (request, active) => {
+  const response = await request.post(`${ORIGIN_URL}/admin/sw-kill-switch`, {
+    headers: ADMIN_HEADERS,
+    data: { active, reason: 'kill-switch.spec.js' }
+  });
+  expect(response.status()).toBe(200);
+  return response.json();
+};
+
+// The kill switch is origin-wide, so this runs in the kill-switch project
+// before any other (playwright.config.js) and keeps it on only for the
+// single navigation under test
+test.describe('Origin SW Kill Switch', () => {
+  test.describe.configure({ mode: 'serial' });
+
+  test.afterEach(async ({ request }) => {
+    await setKillSwitch(request, false);
+  });
+
+  test('Kill switch serves a self-unregistering worker', async ({ request }) => {
+    await setKillSwitch(request, true);
+
+    const swResponse = await request.get(`${BASE_URL}/sw/t1-path-sculpting`);
+    expect(swResponse.status()).toBe(200);
+    expect(swResponse.headers()['clear-site-data']).toBe('"storage"');
+
+    const source = await swResponse.text();
+    expect(source).toContain('self.registration.unregister()');
+    expect(source).not.toContain("addEventListener('fetch'");
+  });
+
+  test('Registered research workers disappear within one navigation', async ({ page, request }) => {
+    await page.goto(`${BASE_URL}/health`, { waitUntil: 'domcontentloaded', timeout: 15000 });
+
+    // Two research workers on separate scopes
+    const registered = await page.evaluate(async () => {
+      const waitForActive = (registration) => new Promise((resolve, reject) => {
+        const worker = registration.installing || registration.waiting;
+        if (!worker) return resolve();
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'activated') resolve();
+          if (worker.state === 'redundant') reject(new Error('Service Worker installation failed'));
+        });
+      });
+
+      const registrations = await Promise.all([
+        navigator.serviceWorker.register('/sw/t1-path-sculpting', { scope: '/' }),
+        navigator.serviceWorker.register('/sw/t4-scope-misconfig', { scope: '/user/' })
+      ]);
+      await Promise.all(registrations.map(waitForActive));
+
+      return (await navigator.serviceWorker.getRegistrations()).map(registration => registration.scope);
+    });
+
+    console.log('Registered scopes:', registered);
+    expect(registered.length).toBe(2);
+
+    await setKillSwitch(request, true);
+
+    // Exactly one navigation; no reloads while waiting
+    await page.goto(`${BASE_URL}/health`, { waitUntil: 'domcontentloaded', timeout: 15000 });
+
+    await expect.poll(async () => page.evaluate(async () =>
+      (await navigator.serviceWorker.getRegistrations()).length
+    ), { timeout: 10000 }).toBe(0);
+  });
+});
@@ -0,0 +1,145 @@
+// Full factorial experiment matrix built from TEST_CONFIG:
+// (cdn x config) x browser x attack x origin strategy, TRIALS_PER_CELL times
+import { readFileSync } from 'fs';
+import { TEST_CONFIG } from './config.js';
+
+const FILTER_KEYS = {
+  cdn: 'cdn',
+  config: 'cdnConfig',
+  browser: 'browser',
+  attack: 'attack',
+  strategy: 'strategy'
+};
+
+// MATRIX_FILTER=attack=t1,strategy=missing - values are prefixes, '|' separates
+// alternatives (attack=t1|t3)
+export function parseMatrixFilter(value = '') {
+  return value.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [key, values = ''] = part.split('=').map(s => s.trim());
+    if (!FILTER_KEYS[key]) {
+      throw new Error(`Invalid MATRIX_FILTER key: ${key}. Must be one of: ${Object.keys(FILTER_KEYS).join(', ')}`);
+    }
+    const prefixes = values.split('|').map(v => v.trim()).filter(Boolean);
+    if (prefixes.length === 0) {
+      throw new Error(`MATRIX_FILTER key "${key}" has no value`);
+    }
+    return { field: FILTER_KEYS[key], prefixes };
+  });
+}
+
+export const matchesFilter = (cell, filter) =>
+  filter.every(({ field, prefixes }) => prefixes.some(prefix => cell[field].startsWith(prefix)));
+
+// Deterministic PRNG (mulberry32) so every Playwright worker derives the same order
+function createRandom(seed) {
+  let state = [...String(seed)].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 2654435761), 1779033703) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+export function buildCells(config = TEST_CONFIG) {
+  const cells = [];
+
+  Object.entries(config.cdns).forEach(([cdn, cdnSettings]) => {
+    cdnSettings.configs.forEach(cdnConfig => {
+      config.browsers.forEach(browser => {
+        Object.keys(config.attacks).forEach(attack => {
+          config.originStrategies.forEach(strategy => {
+            cells.push({
+              cellId: `${cdn}-${cdnConfig}-${browser}-${attack}-${strategy}`,
+              cdn, cdnConfig, browser, attack, strategy
+            });
+          });
+        });
+      });
+    });
+  });
+
+  return cells;
+}
+
+// Remaining trials of a campaign, written by scripts/run-campaign.js:
+// { campaignId, trials: [{ sequence, cellId }] }
+export function loadCampaignPlan(planPath = process.env.CAMPAIGN_PLAN) {
+  if (!planPath) return null;
+  return JSON.parse(readFileSync(planPath, 'utf8'));
+}
+
+// Blocked randomization: block b holds repetition b of every cell in its own
+// shuffled order, so time drift spreads evenly across cells. `sequence` is
+// the 1-based position in the whole run.
+export function buildMatrix({
+  config = TEST_CONFIG,
+  trialsPerCell = parseInt(process.env.TRIALS_PER_CELL) || 1,
+  filter = parseMatrixFilter(process.env.MATRIX_FILTER),
+  seed = process.env.MATRIX_SEED || 'sw-wcd',
+  plan = loadCampaignPlan()
+} = {}) {
+  const cells = buildCells(config).filter(cell => matchesFilter(cell, filter));
+  const random = createRandom(seed);
+  const trials = [];
+
+  for (let block = 1; block <= trialsPerCell; block++) {
+    shuffle(cells, random).forEach(cell => {
+      trials.push({ ...cell, repetition: block, block, sequence: trials.length + 1, seed: String(seed) });
+    });
+  }
+
+  if (!plan) return trials;
+
+  // Sequence numbers come from the full matrix, so a resumed campaign keeps them
+  const bySequence = new Map(trials.map(trial => [trial.sequence, trial]));
+  return plan.trials.map(({ sequence, cellId }) => {
+    const trial = bySequence.get(sequence);
+    if (!trial || trial.cellId !== cellId) {
+      throw new Error(`Campaign ${plan.campaignId} does not match the matrix at sequence ${sequence} (TEST_CONFIG, seed or filter changed?)`);
+    }
+    return trial;
+  });
+}
+
+const projectEngine = (project) => project.use?.browserName || project.use?.defaultBrowserType;
+
+// Each row runs in exactly one project: a CDN-named project (local, cloudflare,
+// ...) runs its CDN's rows for its engine; browser projects run the rest.
+export function matchesProject(row, project, allProjects = [project]) {
+  const engine = projectEngine(project);
+  if (row.browser !== engine) return false;
+
+  if (project.name in TEST_CONFIG.cdns) {
+    return row.cdn === project.name;
+  }
+
+  return !allProjects.some(other => other.name === row.cdn && projectEngine(other) === engine);
+}
+
+// Rows are tagged with their CDN/browser pair and every project greps for the
+// pairs matchesProject gives it, so a row is only defined in the project that
+// runs it. Tests without a matrix tag stay in every project.
+export const matrixTag = ({ cdn, browser }) => `@matrix-${cdn}-${browser}`;
+
+export function assignMatrixRows(projects) {
+  return projects.map(project => {
+    const tags = Object.keys(TEST_CONFIG.cdns).flatMap(cdn => TEST_CONFIG.browsers
+      .filter(browser => matchesProject({ cdn, browser }, project, projects))
+      .map(browser => matrixTag({ cdn, browser })));
+    const owned = tags.length > 0 ? `|(?:${tags.join('|')})(?![\\w-])` : '';
+    return { ...project, grep: new RegExp(`^(?!.*@matrix-)${owned}`) };
+  });
+}
+
+export default buildMatrix;
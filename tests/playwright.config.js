@@ -1,12 +1,28 @@
 import { defineConfig, devices } from '@playwright/test';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { CDN_SIMULATOR_URL, TEST_CONFIG } from './config.js';
+import { assignMatrixRows } from './matrix.js';
+
+// TRIALS_PER_CELL etc. for the attack matrix
+dotenv.config({ path: fileURLToPath(new URL('../.env', import.meta.url)) });
+
+// One matrix seed per run; workers inherit it, so they all build the same
+// randomized order (set MATRIX_SEED to replay a run)
+process.env.MATRIX_SEED ||= String(Date.now());
 
 // Common SSL-bypassing arguments for all Chromium-based projects
 const CHROMIUM_SSL_ARGS = [
   '--ignore-certificate-errors',
-  '--unsafely-treat-insecure-origin-as-secure=https://cdn-simulator.local',
+  `--unsafely-treat-insecure-origin-as-secure=${CDN_SIMULATOR_URL}`,
   '--allow-running-insecure-content'
 ];
 
+// The SW kill switch is origin-wide: while it is on, every other test gets the
+// no-op worker and Clear-Site-Data. Its spec runs alone in its own project,
+// which every other project waits for (--no-deps to skip it).
+const KILL_SWITCH_SPEC = /kill-switch\.spec\.js/;
+
 export default defineConfig({
   testDir: './',
   outputDir: './test-results/output',
@@ -26,7 +42,7 @@ export default defineConfig({
 
   // Global settings applied to ALL projects unless overridden
   use: {
-    baseURL: 'https://cdn-simulator.local',
+    baseURL: CDN_SIMULATOR_URL,
     actionTimeout: 10000,
     navigationTimeout: 30000,
     trace: 'on-first-retry',
@@ -37,79 +53,108 @@ export default defineConfig({
   },
 
   projects: [
-    // --- MAIN LOCAL TEST PROJECT (Chromium) ---
     {
-      name: 'local',
+      name: 'kill-switch',
+      testMatch: KILL_SWITCH_SPEC,
       use: {
         ...devices['Desktop Chrome'],
         launchOptions: {
-          args: CHROMIUM_SSL_ARGS, // Applies the SSL fix
+          args: CHROMIUM_SSL_ARGS,
         },
       },
     },
 
-    // --- STANDARD BROWSER ENGINES ---
-    {
-      name: 'chromium',
-      use: {
-        ...devices['Desktop Chrome'],
-        launchOptions: {
-          args: CHROMIUM_SSL_ARGS, // Applies the SSL fix
+    // Each attack matrix row only exists in the project that runs it (matrix.js)
+    ...assignMatrixRows([
+      // --- MAIN LOCAL TEST PROJECT (Chromium) ---
+      {
+        name: 'local',
+        use: {
+          ...devices['Desktop Chrome'],
+          launchOptions: {
+            args: CHROMIUM_SSL_ARGS, // Applies the SSL fix
+          },
         },
       },
-    },
-    {
-      name: 'firefox',
-      use: {
-        ...devices['Desktop Firefox'],
-        // Firefox usually handles ignoreHTTPSErrors: true (global) fine
+
+      // --- STANDARD BROWSER ENGINES ---
+      {
+        name: 'chromium',
+        use: {
+          ...devices['Desktop Chrome'],
+          launchOptions: {
+            args: CHROMIUM_SSL_ARGS, // Applies the SSL fix
+          },
+        },
       },
-    },
-    {
-      name: 'webkit',
-      use: {
-        ...devices['Desktop Safari'],
-        // WebKit is strict; ignoreHTTPSErrors is set globally, 
-        // but it might still reject localhost SSL in some environments.
+      {
+        name: 'firefox',
+        use: {
+          ...devices['Desktop Firefox'],
+          // Firefox usually handles ignoreHTTPSErrors: true (global) fine
+        },
+      },
+      {
+        name: 'webkit',
+        use: {
+          ...devices['Desktop Safari'],
+          // WebKit is strict; ignoreHTTPSErrors is set globally, 
+          // but it might still reject localhost SSL in some environments.
+        },
       },
-    },
 
-    // --- CLOUD SIMULATIONS (Chromium-based) ---
-    {
-      name: 'cloudflare',
-      use: {
-        ...devices['Desktop Chrome'],
-        baseURL: process.env.CF_TEST_DOMAIN ? `https://${process.env.CF_TEST_DOMAIN}` : 'https://cf-test.yourdomain.com',
-        launchOptions: {
-          args: CHROMIUM_SSL_ARGS, // Applies the SSL fix
+      // --- CLOUD SIMULATIONS (local emulation profiles unless CDN_EMULATION=false) ---
+      {
+        name: 'cloudflare',
+        use: {
+          ...devices['Desktop Chrome'],
+          baseURL: TEST_CONFIG.cdns.cloudflare.baseURL,
+          launchOptions: {
+            args: CHROMIUM_SSL_ARGS, // Applies the SSL fix
+          },
         },
       },
-    },
-    {
-      name: 'fastly',
-      use: {
-        ...devices['Desktop Firefox'], // Fastly project uses Firefox here
-        baseURL: process.env.FASTLY_TEST_DOMAIN ? `https://${process.env.FASTLY_TEST_DOMAIN}` : 'https://fastly-test.yourdomain.com',
+      {
+        name: 'fastly',
+        use: {
+          ...devices['Desktop Firefox'], // Fastly project uses Firefox here
+          baseURL: TEST_CONFIG.cdns.fastly.baseURL,
+        },
       },
-    },
-    {
-      name: 'cloudfront',
-      use: {
-        ...devices['Desktop Chrome'],
-        baseURL: process.env.CLOUDFRONT_TEST_DOMAIN ? `https://${process.env.CLOUDFRONT_TEST_DOMAIN}` : 'https://aws-test.yourdomain.com',
-        launchOptions: {
-          args: CHROMIUM_SSL_ARGS, // Applies the SSL fix
+      {
+        name: 'cloudfront',
+        use: {
+          ...devices['Desktop Chrome'],
+          baseURL: TEST_CONFIG.cdns.cloudfront.baseURL,
+          launchOptions: {
+            args: CHROMIUM_SSL_ARGS, // Applies the SSL fix
+          },
         },
       },
-    },
+    ]).map(project => ({ ...project, testIgnore: KILL_SWITCH_SPEC, dependencies: ['kill-switch'] })),
   ],
 
   // BACKGROUND SERVER CONFIGURATION
-  webServer: {
-    command: 'cd ../origin && npm run dev',
-    url: 'https://localhost:3443/health',
-    ignoreHTTPSErrors: true,
-    reuseExistingServer: true,
-    timeout: 120000,
-  },
+  // Origin plus the in-process CDN simulator (one listener per emulation
+  // profile), so no Docker/nginx is needed
+  webServer: [
+    {
+      command: 'cd ../origin && npm run dev',
+      url: 'https://localhost:3443/health',
+      env: {
+        RATE_LIMIT_MAX: String(TEST_CONFIG.safety.originRateLimit.max),
+        RATE_LIMIT_WINDOW_MS: String(TEST_CONFIG.safety.originRateLimit.windowMs),
+      },
+      ignoreHTTPSErrors: true,
+      reuseExistingServer: true,
+      timeout: 120000,
+    },
+    {
+      command: 'cd ../origin && npm run cdn',
+      url: `${CDN_SIMULATOR_URL}/health`,
+      ignoreHTTPSErrors: true,
+      reuseExistingServer: true,
+      timeout: 120000,
+    },
+  ],
 });
@@ -0,0 +1,62 @@
+import { test, expect } from '@playwright/test';
+import { TEST_CONFIG, ORIGIN_URL } from './config.js';
+import { parseRoutingMode } from '../origin/routing-modes.js';
+
+// Deceptive /account variations from T1/T3 and the framework behaviours that route them
+const VARIATIONS = [
+  '/account',
+  '/account/sw-wcd-cache.jpg',
+  '/account%3Bsw-wcd-cache.css',
+  '/account;jsessionid=sw-wcd-cache.css',
+  '/account%2Fsw-wcd-cache.css',
+  '/account.css',
+  '/account.jpg',
+  '/account/',
+  '/ACCOUNT'
+];
+
+// Which variations reach /account in each mode (every mode also routes /account)
+const ROUTED = {
+  exact: [],
+  legacy: ['/account/sw-wcd-cache.jpg', '/account%3Bsw-wcd-cache.css', '/account;jsessionid=sw-wcd-cache.css', '/account%2Fsw-wcd-cache.css', '/account.jpg', '/account/', '/ACCOUNT'],
+  'delimiter-truncation': ['/account%3Bsw-wcd-cache.css', '/account;jsessionid=sw-wcd-cache.css'],
+  'spring-jsessionid': ['/account;jsessionid=sw-wcd-cache.css'],
+  'encoded-slash': [],
+  'encoded-slash+express-prefix': ['/account/sw-wcd-cache.jpg', '/account%2Fsw-wcd-cache.css', '/account/'],
+  'rails-format': ['/account.css', '/account.jpg'],
+  'express-prefix': ['/account/sw-wcd-cache.jpg', '/account/'],
+  'trailing-slash': ['/account/'],
+  'case-insensitive': ['/ACCOUNT']
+};
+
+test.describe('Origin Routing Modes', () => {
+  test.beforeEach(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'local', 'Routing modes do not depend on the project');
+  });
+
+  test('Each mode routes the variations its framework does', async () => {
+    for (const [mode, routed] of Object.entries(ROUTED)) {
+      const routing = parseRoutingMode(mode);
+      const actual = VARIATIONS.filter(path => routing.routes(path, '/account'));
+      expect(actual, mode).toEqual(['/account', ...routed]);
+    }
+  });
+
+  test('Modes combine under canonical names', async () => {
+    expect(parseRoutingMode('case-insensitive+express-prefix').name).toBe('express-prefix+case-insensitive');
+    expect(parseRoutingMode('legacy express-prefix').name).toBe('legacy');
+    expect(parseRoutingMode('trailing-slash+case-insensitive+delimiter-truncation+encoded-slash+express-prefix').name)
+      .toBe('delimiter-truncation+encoded-slash+express-prefix+trailing-slash+case-insensitive');
+    expect(parseRoutingMode('express-prefix+legacy-mounts+trailing-slash+case-insensitive+delimiter-truncation+encoded-slash').name).toBe('legacy');
+    expect(() => parseRoutingMode('django')).toThrow('Invalid routing mode: django');
+  });
+
+  test('The origin routes requests as ORIGIN_ROUTING says', async ({ request }) => {
+    const routing = parseRoutingMode(TEST_CONFIG.originModes.routing);
+
+    for (const path of VARIATIONS) {
+      const response = await request.get(`${ORIGIN_URL}${path}?strategy=proper`);
+      expect(response.status(), path).toBe(routing.routes(path, '/account') ? 200 : 404);
+    }
+  });
+});
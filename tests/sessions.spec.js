@@ -0,0 +1,147 @@
+import { test, expect, request as playwrightRequest } from '@playwright/test';
+import { TEST_CONFIG, ORIGIN_URL, getEmulationURL } from './config.js';
+import { TestUtils } from './utils.js';
+import { parseRoutingMode } from '../origin/routing-modes.js';
+
+const { victim, password } = TEST_CONFIG.users;
+const OTHER_USER = TEST_CONFIG.users.attacker || 'bob';
+
+const newClient = () => playwrightRequest.newContext({ ignoreHTTPSErrors: true });
+
+// Origin session handling and per-user data; origin state is shared, so run it once
+test.describe('Origin Sessions', () => {
+  test.beforeEach(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'local', 'Origin sessions are shared by every project');
+  });
+
+  test('Login issues a signed, HttpOnly session cookie', async () => {
+    const client = await newClient();
+    const rejected = await client.post(`${ORIGIN_URL}/auth/login`, { data: { username: victim, password: 'wrong' } });
+    expect(rejected.status()).toBe(401);
+
+    const response = await client.post(`${ORIGIN_URL}/auth/login`, { data: { username: victim, password } });
+    expect(response.status()).toBe(200);
+    expect(response.headers()['set-cookie']).toMatch(/^session=[\w-]+\.[\w-]+;.*HttpOnly/);
+
+    const login = await response.json();
+    expect(login.user.id).toBe(victim);
+    expect(login.csrfToken).toBeTruthy();
+
+    const session = await (await client.get(`${ORIGIN_URL}/auth/session`)).json();
+    expect(session.user).toMatchObject({ id: victim, isAuthenticated: true });
+    await client.dispose();
+  });
+
+  test('Tampered session tokens are anonymous', async () => {
+    const client = await newClient();
+    const login = await TestUtils.login(client, ORIGIN_URL, victim);
+    const { cookies } = await client.storageState();
+    const token = cookies.find(cookie => cookie.name === 'session').value;
+    const [payload, signature] = token.split('.');
+
+    // Same signature on a payload claiming another user
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...claims, sub: OTHER_USER })).toString('base64url');
+
+    const anonymous = await newClient();
+    for (const value of [`${forged}.${signature}`, `${payload}.${signature.slice(1)}x`, 'session-test-user-1']) {
+      const response = await anonymous.get(`${ORIGIN_URL}/api/user`, { headers: { Cookie: `session=${value}` } });
+      const body = await response.json();
+      expect(body.user.isAuthenticated).toBe(false);
+      expect(TestUtils.findAccountData(JSON.stringify(body), login.account)).toEqual([]);
+    }
+    await Promise.all([client.dispose(), anonymous.dispose()]);
+  });
+
+  test('Logout requires the CSRF token and revokes the session', async () => {
+    const client = await newClient();
+    const login = await TestUtils.login(client, ORIGIN_URL, victim);
+
+    const page = await (await client.get(`${ORIGIN_URL}/account`)).text();
+    expect(page).toContain(`<meta name="csrf-token" content="${login.csrfToken}">`);
+
+    expect((await client.post(`${ORIGIN_URL}/auth/logout`)).status()).toBe(403);
+    expect((await client.post(`${ORIGIN_URL}/auth/logout`, { headers: { 'X-CSRF-Token': 'guess' } })).status()).toBe(403);
+
+    const { cookies } = await client.storageState();
+    const token = cookies.find(cookie => cookie.name === 'session').value;
+    const logout = await client.post(`${ORIGIN_URL}/auth/logout`, { headers: { 'X-CSRF-Token': login.csrfToken } });
+    expect(logout.status()).toBe(200);
+
+    // The old token no longer works, even if a client kept it
+    const replay = await newClient();
+    const session = await (await replay.get(`${ORIGIN_URL}/auth/session`, { headers: { Cookie: `session=${token}` } })).json();
+    expect(session.user.isAuthenticated).toBe(false);
+    await Promise.all([client.dispose(), replay.dispose()]);
+  });
+
+  test('Each user only ever gets their own data from the origin', async () => {
+    const [clientA, clientB] = await Promise.all([newClient(), newClient()]);
+    const loginA = await TestUtils.login(clientA, ORIGIN_URL, victim);
+    const loginB = await TestUtils.login(clientB, ORIGIN_URL, OTHER_USER);
+    expect(loginA.account.canary).not.toBe(loginB.account.canary);
+
+    const account = await (await clientB.get(`${ORIGIN_URL}/account?strategy=proper`)).text();
+    const api = await (await clientB.get(`${ORIGIN_URL}/api/user?strategy=proper`)).text();
+    for (const body of [account, api]) {
+      expect(TestUtils.findAccountData(body, loginB.account)).toEqual(['email', 'accountNumber', 'apiKey', 'canary']);
+      expect(TestUtils.findAccountData(body, loginA.account)).toEqual([]);
+    }
+
+    // Profiles are owner-only
+    expect((await clientA.get(`${ORIGIN_URL}/user/${victim}/profile`)).status()).toBe(200);
+    expect((await clientB.get(`${ORIGIN_URL}/user/${victim}/profile`)).status()).toBe(403);
+    await Promise.all([clientA.dispose(), clientB.dispose()]);
+  });
+
+  test('User sections are owner-only and the T4 static paths follow STATIC_USER_PATHS', async () => {
+    const [client, anonymous] = await Promise.all([newClient(), newClient()]);
+    const login = await TestUtils.login(client, ORIGIN_URL, victim);
+
+    for (const section of ['profile', 'settings', 'dashboard']) {
+      const body = await (await client.get(`${ORIGIN_URL}/user/${victim}/${section}`)).text();
+      expect(body).toContain(`marker-${victim}-`);
+      expect(TestUtils.findAccountData(body, login.account)).toContain('canary');
+      expect((await anonymous.get(`${ORIGIN_URL}/user/${victim}/${section}`)).status()).toBe(401);
+    }
+
+    const staticPath = `${ORIGIN_URL}/static/user-settings-cache?strategy=misconfigured`;
+    const shared = await (await client.get(staticPath)).text();
+    if (TEST_CONFIG.originModes.staticUserPaths === 'shared-cache-path') {
+      expect(TestUtils.findAccountData(shared, login.account)).toEqual(['email', 'accountNumber', 'apiKey', 'canary']);
+      expect((await anonymous.get(staticPath)).status()).toBe(401);
+    } else {
+      expect(shared).toContain('data-user="shared"');
+      expect(TestUtils.findAccountData(shared, login.account)).toEqual([]);
+    }
+    await Promise.all([client.dispose(), anonymous.dispose()]);
+  });
+
+  // The measurement the attack matrix relies on: a shared cache that ignores
+  // the session serves A's page, with A's data and CSRF token, to B
+  test('A cacheable per-user page leaks across users through a CDN', async () => {
+    // A .jpg URL the CDN caches by extension that ORIGIN_ROUTING still routes to /account
+    const routing = parseRoutingMode(TEST_CONFIG.originModes.routing);
+    const id = `sessions-spec-${Date.now()}`;
+    const path = [`/account/${id}.jpg`, `/account;${id}.jpg`, `/account%3B${id}.jpg`, `/account.jpg/${id}.jpg`, '/account.jpg']
+      .find(candidate => routing.routes(candidate, '/account'));
+    test.skip(!path, `ORIGIN_ROUTING=${routing.name} routes no cacheable /account variation`);
+
+    const cdnURL = getEmulationURL('cloudflare');
+    const [clientA, clientB] = await Promise.all([newClient(), newClient()]);
+    const loginA = await TestUtils.login(clientA, cdnURL, victim);
+    const loginB = await TestUtils.login(clientB, cdnURL, OTHER_USER);
+    const url = `${cdnURL}${path}?strategy=misconfigured&run=${id}`;
+
+    const victimBody = await (await clientA.get(url)).text();
+    expect(TestUtils.findAccountData(victimBody, loginA.account)).toContain('canary');
+
+    const response = await clientB.get(url);
+    const attackerBody = await response.text();
+    expect(TestUtils.parseCDNCacheStatus(response.headers(), 'cloudflare').hit).toBe(true);
+    expect(TestUtils.findAccountData(attackerBody, loginA.account)).toEqual(['email', 'accountNumber', 'apiKey', 'canary']);
+    expect(attackerBody).toContain(loginA.csrfToken);
+    expect(TestUtils.findAccountData(attackerBody, loginB.account)).toEqual([]);
+    await Promise.all([clientA.dispose(), clientB.dispose()]);
+  });
+});
@@ -2,6 +2,7 @@
 import { Pool } from 'pg';
 import dotenv from 'dotenv';
 import path from 'path';
+import { TEST_CONFIG } from './config.js';
 
 try {
   const envPath = path.resolve(process.cwd(), '../.env');
@@ -52,7 +53,8 @@ export class TestUtils {
           return {
             status: cfStatus || 'MISSING_HEADER',
             raw: cfStatus,
-            hit: cfStatus === 'HIT',
+            // UPDATING and REVALIDATED are also served from cache
+            hit: ['HIT', 'UPDATING', 'REVALIDATED'].includes(cfStatus),
             miss: cfStatus === 'MISS',
             dynamic: cfStatus === 'DYNAMIC'
           };
@@ -64,6 +66,7 @@ export class TestUtils {
             raw: xCache,
             hit: xCache?.includes('HIT') || false,
             miss: xCache?.includes('MISS') || false,
+            pass: xCache?.includes('PASS') || false,
             unknown: !xCache
           };
 
@@ -82,7 +85,7 @@ export class TestUtils {
           return {
             status: localStatus || 'MISSING_HEADER',
             raw: localStatus,
-            hit: localStatus === 'HIT',
+            hit: ['HIT', 'UPDATING', 'REVALIDATED'].includes(localStatus),
             miss: localStatus === 'MISS',
             bypass: localStatus === 'BYPASS'
           };
@@ -163,6 +166,10 @@ export class TestUtils {
       attacker_request,
       attack_outcome,
       execution_time_ms,
+      phase_timings = null,
+      block_number = null,
+      sequence_number = null,
+      campaign_id = null,
       notes
     } = trialData;
 
@@ -171,16 +178,20 @@ export class TestUtils {
         `INSERT INTO experiments (
           trial_id, timestamp, cdn_vendor, cdn_config, browser, browser_version,
           attack_type, origin_header_strategy, victim_request, sw_modified_request,
-          cdn_response, attacker_request, attack_outcome, execution_time_ms, notes
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+          cdn_response, attacker_request, attack_outcome, execution_time_ms,
+          phase_timings, block_number, sequence_number, campaign_id, notes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
         RETURNING trial_id`,
         [
           trial_id, timestamp, cdn_vendor, cdn_config, browser, browser_version,
           attack_type, origin_header_strategy, victim_request, sw_modified_request,
-          cdn_response, attacker_request, attack_outcome, execution_time_ms, notes
+          cdn_response, attacker_request, attack_outcome, execution_time_ms,
+          phase_timings, block_number, sequence_number, campaign_id, notes
         ]
       );
 
+      await TestUtils.markCampaignCell(campaign_id, sequence_number, 'completed', { trialId: trial_id });
+
       return result.rows[0].trial_id;
     } catch (error) {
       console.error('Failed to log trial to database:', error);
@@ -188,6 +199,96 @@ export class TestUtils {
     }
   }
 
+  // Record a campaign cell's outcome; a no-op outside campaign runs
+  static async markCampaignCell(campaignId, sequenceNumber, status, { trialId = null, reason = null } = {}) {
+    if (!campaignId) return;
+
+    try {
+      await pool.query(
+        `UPDATE campaign_cells
+         SET status = $3, trial_id = $4, status_reason = $5, completed_at = NOW()
+         WHERE campaign_id = $1 AND sequence_number = $2`,
+        [campaignId, sequenceNumber, status, trialId, reason]
+      );
+    } catch (error) {
+      console.error(`Failed to mark campaign cell ${campaignId}#${sequenceNumber}:`, error.message);
+    }
+  }
+
+  // Navigation Timing of the page's current document (ms since navigation start).
+  // workerStart is 0 unless a Service Worker handled the navigation.
+  static async getNavigationTiming(page) {
+    return await page.evaluate(() => {
+      const [entry] = performance.getEntriesByType('navigation');
+      if (!entry) return null;
+      return {
+        workerStart: entry.workerStart,
+        fetchStart: entry.fetchStart,
+        requestStart: entry.requestStart,
+        responseStart: entry.responseStart,
+        responseEnd: entry.responseEnd
+      };
+    });
+  }
+
+  // Per-phase latencies stored in experiments.phase_timings:
+  //   victim_fetch_ms   - victim navigation, fetch start to last byte
+  //   sw_rewrite_ms     - time the worker held the navigation (rewrite + its own fetch)
+  //   attacker_ttfb_ms  - attacker request sent to first byte; the cache-sensitive part
+  //   attacker_fetch_ms - attacker navigation, fetch start to last byte
+  // Phases a browser does not report are null.
+  static summarizePhaseTimings(victimTiming, attackerTiming) {
+    const span = (timing, from, to) => {
+      if (!timing || !(timing[to] > 0) || !(timing[to] >= timing[from])) return null;
+      return Math.round((timing[to] - timing[from]) * 100) / 100;
+    };
+
+    return {
+      victim_fetch_ms: span(victimTiming, 'fetchStart', 'responseEnd'),
+      sw_rewrite_ms: victimTiming?.workerStart > 0 ? span(victimTiming, 'workerStart', 'responseStart') : null,
+      attacker_ttfb_ms: span(attackerTiming, 'requestStart', 'responseStart'),
+      attacker_fetch_ms: span(attackerTiming, 'fetchStart', 'responseEnd')
+    };
+  }
+
+  // Telemetry events the trial's Service Worker posted to /sw-telemetry
+  static async getSWEvents(trialId) {
+    const result = await pool.query(
+      `SELECT event_type, event_timestamp, original_url, rewritten_url,
+              response_status, error, details
+       FROM sw_events
+       WHERE trial_id = $1
+       ORDER BY event_timestamp ASC, event_id ASC`,
+      [trialId]
+    );
+    return result.rows;
+  }
+
+  // Build sw_modified_request from what the worker reported doing
+  static summarizeSWEvents(events) {
+    const intercepted = events.filter(event => event.event_type === 'intercept');
+    const responses = events.filter(event => event.event_type === 'response');
+    const fallbacks = events.filter(event => event.event_type === 'fallback');
+
+    return {
+      source: 'sw-telemetry',
+      installed: events.some(event => event.event_type === 'install'),
+      activated: events.some(event => event.event_type === 'activate'),
+      intercepted: intercepted.length > 0,
+      original_url: intercepted[0]?.original_url || null,
+      modified_url: intercepted[0]?.rewritten_url || null,
+      response_status: responses[0]?.response_status ?? null,
+      fallback: fallbacks.length > 0,
+      fallback_errors: fallbacks.map(event => event.error),
+      rewrites: intercepted.map(event => ({
+        original_url: event.original_url,
+        modified_url: event.rewritten_url,
+        details: event.details
+      })),
+      event_count: events.length
+    };
+  }
+
   static validateSafetyConstraints(testConfig) {
     const warnings = [];
 
@@ -213,16 +314,23 @@ export class TestUtils {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  static createAuthCookie(domain, userId = 'test-user') {
-    return {
-      name: 'session',
-      value: `session-${userId}-${Date.now()}`,
-      domain: domain,
-      path: '/',
-      httpOnly: true,
-      secure: true,
-      sameSite: 'Lax'
-    };
+  // Sign in through POST /auth/login; `request` is a context's APIRequestContext,
+  // so the session cookie lands in that browser context. Returns the user,
+  // CSRF token and the user's own sensitive data.
+  static async login(request, baseURL, username, password = TEST_CONFIG.users.password) {
+    const response = await request.post(`${baseURL}/auth/login`, { data: { username, password } });
+    if (!response.ok()) {
+      throw new Error(`Login as ${username} failed: HTTP ${response.status()}`);
+    }
+    return response.json();
+  }
+
+  // Fields of a user's sensitive data (from login()) that appear in a body
+  static findAccountData(body, account) {
+    if (!body || !account) return [];
+    return Object.entries(account)
+      .filter(([, value]) => value && body.includes(value))
+      .map(([field]) => field);
   }
 }
 
@@ -1,11 +1,14 @@
 import { test, expect } from '@playwright/test';
+import { TEST_CONFIG } from './config.js';
+
+const BASE_URL = TEST_CONFIG.cdns.local.baseURL;
 
 test.describe('Service Worker Verification Tests', () => {
   test('Service Worker Basic Support', async ({ page }) => {
     console.log(' Testing Service Worker basic support...');
     
     // FIX 1: Use HTTPS domain
-    await page.goto('https://cdn-simulator.local/health', {
+    await page.goto(`${BASE_URL}/health`, {
       waitUntil: 'networkidle',
       timeout: 15000
     });
@@ -31,7 +34,7 @@ test.describe('Service Worker Verification Tests', () => {
     console.log(' Testing Service Worker registration from URL...');
     
     // FIX 1: Use HTTPS domain
-    await page.goto('https://cdn-simulator.local/health', {
+    await page.goto(`${BASE_URL}/health`, {
       waitUntil: 'networkidle',
       timeout: 15000
     });
@@ -94,7 +97,7 @@ test.describe('Service Worker Verification Tests', () => {
     } else {
       expect(registrationResult.success).toBe(true);
       // Verify scope is correct (HTTPS)
-      expect(registrationResult.scope).toContain('https://cdn-simulator.local');
+      expect(registrationResult.scope).toContain(BASE_URL);
       
       // Wait a bit for Service Worker to take control
       await page.waitForTimeout(2000);
@@ -121,7 +124,7 @@ test.describe('Service Worker Verification Tests', () => {
     console.log(' Testing Service Worker interception...');
     
     // First, ensure we are on a secure origin where Service Workers are available
-    await page.goto('https://cdn-simulator.local/health', {
+    await page.goto(`${BASE_URL}/health`, {
       waitUntil: 'networkidle',
       timeout: 15000
     });
@@ -189,7 +192,7 @@ test.describe('Service Worker Verification Tests', () => {
       }
     });
     
-    const response = await page.goto('https://cdn-simulator.local/account?strategy=misconfigured&test=interception', {
+    const response = await page.goto(`${BASE_URL}/account?strategy=misconfigured&test=interception`, {
       waitUntil: 'networkidle',
       timeout: 15000
     });
@@ -225,11 +228,11 @@ test.describe('Service Worker Verification Tests', () => {
     
     const responses = [];
     
-    // FIX 3: Increase loop to 20 to hit the 10-request limit
-    for (let i = 0; i < 20; i++) {
+    // One more request than the origin allows per window
+    for (let i = 0; i <= TEST_CONFIG.safety.originRateLimit.max; i++) {
       try {
         // FIX 1: Use HTTPS domain
-        const response = await request.get('https://cdn-simulator.local/health');
+        const response = await request.get(`${BASE_URL}/health`);
         responses.push(response.status());
         console.log(`Request ${i + 1}: ${response.status()}`);
         
@@ -250,7 +253,7 @@ test.describe('Service Worker Verification Tests', () => {
     // Test that Service Worker scripts are NOT rate limited
     try {
       // FIX 1: Use HTTPS domain
-      const swResponse = await request.get('https://cdn-simulator.local/sw/t1-path-sculpting');
+      const swResponse = await request.get(`${BASE_URL}/sw/t1-path-sculpting`);
       console.log('Service Worker script response:', swResponse.status());
       expect(swResponse.status()).toBe(200);
     } catch (error) {